@@ -1,6 +1,8 @@
 // File: device-id.js
 // Large-scope deterministic device fingerprint (no cookies/local storage).
-// Returns a SHA-256 hex string (Promise).
+// Returns a versioned SHA-256 ID, "v2:<hex>" (Promise); collect() /
+// generate({ detailed: true }) return the per-component breakdown, and diff()
+// compares two of those.
 
 const DeviceID = (() => {
 
@@ -14,12 +16,37 @@ const DeviceID = (() => {
         return arr.map(b => b.toString(16).padStart(2, '0')).join('');
     }
 
+    // HMAC-SHA-256 keyed with a per-site secret, so IDs from different
+    // properties cannot be correlated.
+    async function hmacSha256Hex(secret, input) {
+        const enc = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', enc.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const buf = await crypto.subtle.sign('HMAC', key, enc.encode(input));
+        const arr = Array.from(new Uint8Array(buf));
+        return arr.map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Hashes in the worker when one is running, on the main thread otherwise
+    // (also when the worker has failed or timed out).
+    function digest(input, salt, worker) {
+        const local = () => salt ? hmacSha256Hex(salt, input) : sha256Hex(input);
+        if (!worker) return local();
+        return worker.call('hash', { input, salt }).catch(local);
+    }
+
     async function sha256HexFromArrayBuffer(buffer) {
         const buf = await crypto.subtle.digest('SHA-256', buffer);
         const arr = Array.from(new Uint8Array(buf));
         return arr.map(b => b.toString(16).padStart(2, '0')).join('');
     }
 
+    // digest() for raw bytes (unsalted).
+    function digestBytes(buffer, worker) {
+        const local = () => sha256HexFromArrayBuffer(buffer);
+        if (!worker) return local();
+        return worker.call('hashBytes', { buffer }).catch(local);
+    }
+
     function safe(fn, fallback = '') {
         try {
             const v = fn();
@@ -33,28 +60,36 @@ const DeviceID = (() => {
     // ----------------------
     // Canvas fingerprint
     // ----------------------
-    function getCanvasFingerprint() {
+    function drawCanvasFingerprint(ctx) {
+        // draw text and shapes with subtleties
+        ctx.fillStyle = '#f60';
+        ctx.fillRect(125, 1, 62, 20);
+        ctx.textBaseline = 'alphabetic';
+        ctx.font = "16px 'Arial'";
+        ctx.fillStyle = '#069';
+        ctx.fillText('DeviceFingerprint — 測試', 2, 20);
+        ctx.fillStyle = 'rgba(102,204,0,0.7)';
+        ctx.fillText('DeviceFingerprint — 測試', 4, 22);
+        ctx.globalCompositeOperation = 'multiply';
+        ctx.fillStyle = 'rgb(200,50,100)';
+        ctx.beginPath();
+        ctx.arc(50, 35, 20, 0, Math.PI * 2, true);
+        ctx.fill();
+    }
+
+    // Value is the SHA-256 of the PNG bytes. Rendering always happens on a DOM
+    // canvas, so the value never depends on whether a worker was available;
+    // only the hashing goes to the worker.
+    async function getCanvasFingerprint(token) {
         try {
             const canvas = document.createElement('canvas');
             canvas.width = 280;
             canvas.height = 60;
-            const ctx = canvas.getContext('2d');
-
-            // draw text and shapes with subtleties
-            ctx.fillStyle = '#f60';
-            ctx.fillRect(125, 1, 62, 20);
-            ctx.textBaseline = 'alphabetic';
-            ctx.font = "16px 'Arial'";
-            ctx.fillStyle = '#069';
-            ctx.fillText('DeviceFingerprint — 測試', 2, 20);
-            ctx.fillStyle = 'rgba(102,204,0,0.7)';
-            ctx.fillText('DeviceFingerprint — 測試', 4, 22);
-            ctx.globalCompositeOperation = 'multiply';
-            ctx.fillStyle = 'rgb(200,50,100)';
-            ctx.beginPath();
-            ctx.arc(50, 35, 20, 0, Math.PI * 2, true);
-            ctx.fill();
-            return canvas.toDataURL();
+            drawCanvasFingerprint(canvas.getContext('2d'));
+            const bin = atob(canvas.toDataURL('image/png').split(',')[1] || '');
+            const bytes = new Uint8Array(bin.length);
+            for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+            return await digestBytes(bytes.buffer, token && token.worker);
         } catch (e) {
             return '';
         }
@@ -63,7 +98,7 @@ const DeviceID = (() => {
     // ----------------------
     // WebGL fingerprint
     // ----------------------
-    function getWebGLFingerprint() {
+    function getWebGLFingerprint(unmasked = true) {
         try {
             const canvas = document.createElement('canvas');
             const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
@@ -83,8 +118,8 @@ const DeviceID = (() => {
 
             const exts = (gl.getSupportedExtensions() || []).slice(0, 20).join(',');
 
-            // Try to get UNMASKED info (may be blocked)
-            const dbg = gl.getExtension('WEBGL_debug_renderer_info');
+            // Try to get UNMASKED info (may be blocked; 'full' tier only)
+            const dbg = unmasked ? gl.getExtension('WEBGL_debug_renderer_info') : null;
             const unmaskedVendor = dbg ? gl.getParameter(dbg.UNMASKED_VENDOR_WEBGL) : '';
             const unmaskedRenderer = dbg ? gl.getParameter(dbg.UNMASKED_RENDERER_WEBGL) : '';
 
@@ -143,19 +178,23 @@ const DeviceID = (() => {
     // ----------------------
     // Font detection: measure width differences for a list of fonts
     // ----------------------
-    function detectFonts() {
+    // Yields to the event loop between fonts so the forced layouts don't block
+    // first paint, and stops early once the runner cancels it (timeout/budget).
+    const DEFAULT_FONTS = [
+        'Arial', 'Times New Roman', 'Courier New', 'Georgia', 'Palatino', 'Segoe UI', 'Roboto',
+        'Noto Sans', 'Helvetica', 'Impact', 'Comic Sans MS', 'Verdana', 'Tahoma', 'Lucida Grande'
+    ];
+
+    async function detectFonts(token, testFonts = DEFAULT_FONTS) {
+        let span = null;
         try {
             const baseFonts = ['monospace', 'serif', 'sans-serif'];
-            const testFonts = [
-                'Arial', 'Times New Roman', 'Courier New', 'Georgia', 'Palatino', 'Segoe UI', 'Roboto',
-                'Noto Sans', 'Helvetica', 'Impact', 'Comic Sans MS', 'Verdana', 'Tahoma', 'Lucida Grande'
-            ];
 
             const testString = 'mmmmmmmmmmlli';
             const testSize = '72px';
 
             const body = document.getElementsByTagName('body')[0] || document.documentElement;
-            const span = document.createElement('span');
+            span = document.createElement('span');
             span.style.fontSize = testSize;
             span.style.position = 'absolute';
             span.style.left = '-9999px';
@@ -171,6 +210,9 @@ const DeviceID = (() => {
             }
 
             for (const font of testFonts) {
+                // eslint-disable-next-line no-await-in-loop
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (token && token.cancelled) return '';
                 let found = false;
                 for (const base of baseFonts) {
                     span.style.fontFamily = `'${font}', ${base}`;
@@ -183,10 +225,11 @@ const DeviceID = (() => {
                 detected.push(`${font}:${found ? 1 : 0}`);
             }
 
-            span.remove();
             return detected.join(',');
         } catch (e) {
             return '';
+        } finally {
+            if (span) span.remove();
         }
     }
 
@@ -348,52 +391,533 @@ const DeviceID = (() => {
     }
 
     // ----------------------
-    // Main generation function
+    // Worker offloading (hashing)
     // ----------------------
-    async function generate(options = {}) {
+    // Runs inside the worker; helpers are injected by source.
+    function workerMain() {
+        self.onmessage = async (e) => {
+            const { id, op, payload } = e.data;
+            try {
+                let result;
+                if (op === 'hash') {
+                    result = payload.salt ? await hmacSha256Hex(payload.salt, payload.input) : await sha256Hex(payload.input);
+                } else if (op === 'hashBytes') {
+                    result = await sha256HexFromArrayBuffer(payload.buffer);
+                } else {
+                    throw new Error('unknown op ' + op);
+                }
+                self.postMessage({ id, result });
+            } catch (err) {
+                self.postMessage({ id, error: String((err && err.message) || err) });
+            }
+        };
+    }
+
+    // ms a worker call may take; after that the worker counts as failed
+    const WORKER_TIMEOUT = 1000;
+
+    // Returns { call(op, payload) } or null when workers are unavailable (or
+    // blocked by CSP, in which case calls reject and the callers fall back to
+    // the main thread). The first error or timeout terminates the worker;
+    // every later call rejects immediately.
+    function openWorker() {
+        try {
+            if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL === 'undefined' || !URL.createObjectURL) return null;
+            const src = [sha256Hex, sha256HexFromArrayBuffer, hmacSha256Hex, workerMain]
+                .map(f => f.toString()).join('\n') + '\nworkerMain();';
+            const url = URL.createObjectURL(new Blob([src], { type: 'application/javascript' }));
+            const worker = new Worker(url);
+            const pending = new Map();
+            let seq = 0;
+            let failed = null;
+            const failAll = (err) => {
+                if (failed) return;
+                failed = err;
+                worker.terminate();
+                URL.revokeObjectURL(url);
+                pending.forEach(p => p.reject(err));
+                pending.clear();
+            };
+            worker.onmessage = (e) => {
+                const p = pending.get(e.data.id);
+                if (!p) return;
+                pending.delete(e.data.id);
+                if (e.data.error) p.reject(new Error(e.data.error));
+                else p.resolve(e.data.result);
+            };
+            worker.onerror = () => failAll(new Error('DeviceID worker failed'));
+            return {
+                call(op, payload) {
+                    if (failed) return Promise.reject(failed);
+                    return new Promise((resolve, reject) => {
+                        const id = ++seq;
+                        // a worker that is alive but stuck is no better than a dead one
+                        const timer = setTimeout(() => failAll(new Error('DeviceID worker timed out')), WORKER_TIMEOUT);
+                        pending.set(id, {
+                            resolve: v => { clearTimeout(timer); resolve(v); },
+                            reject: err => { clearTimeout(timer); reject(err); }
+                        });
+                        worker.postMessage({ id, op, payload });
+                    });
+                }
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // One worker per page, opened on first use and shared by every call.
+    let sharedWorker;
+
+    function getWorker() {
+        if (sharedWorker === undefined) sharedWorker = openWorker();
+        return sharedWorker;
+    }
+
+    // ----------------------
+    // Component runner
+    // ----------------------
+    function now() {
+        return (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
+    }
+
+    function resolveConfig(options) {
         // options can allow toggling certain expensive probes (fonts, audio, battery)
         const cfg = Object.assign({
+            tier: 'full',
+            salt: '',
+            timeout: 0,      // per probe (ms), 0 = none; timeouts: { audio: 3000 } overrides per name
+            timeouts: {},
+            budget: 0,       // overall ms for all probes; 0 = unlimited
+            worker: true,    // offload hashing when possible
+            version: SCHEMA_VERSION,
+            revision: 0,     // custom probe revision, see registerProbe()
             fonts: true,
+            fontList: null,  // overrides the tested font names
+            canvas: true,
+            webgl: true,
             audio: true,
             battery: false,  // battery can be volatile; default off
             mediaDevices: true,
             permissions: true
         }, options);
+        if (TIERS.indexOf(cfg.tier) === -1) throw new Error(`DeviceID: unknown tier "${cfg.tier}"`);
+        if (!(cfg.version >= 1 && cfg.version <= SCHEMA_VERSION)) {
+            throw new Error(`DeviceID: unknown schema version ${cfg.version}`);
+        }
+        // version 1 IDs are bare hex and can't name a revision
+        if (!(cfg.revision >= 0 && cfg.revision <= customRevisions()) || (cfg.revision > 0 && cfg.version < 2)) {
+            throw new Error(`DeviceID: unknown custom probe revision ${cfg.revision}`);
+        }
+        return cfg;
+    }
+
+    // ----------------------
+    // Privacy tiers: each probe runs only at its tier and above
+    // ----------------------
+    const TIERS = ['minimal', 'standard', 'full'];
+
+    function tierAllows(tier, required) {
+        return TIERS.indexOf(tier) >= TIERS.indexOf(required);
+    }
+
+    // Ordered probe table; the order is part of the hash input. `toggle` names
+    // the cfg flag that can switch a probe off within its tier, `since` the
+    // first schema version hashing it, and `legacy` the value version 1 hashes.
+    const PROBES = [
+        { name: 'nav', tier: 'minimal', run: collectStableNavigator,
+            description: 'User agent, vendor, platform, languages, CPU cores, device memory, touch points, Do Not Track' },
+        { name: 'screen', tier: 'minimal', run: collectStableScreen,
+            description: 'Screen size, color depth and device pixel ratio' },
+        { name: 'intl', tier: 'minimal', run: collectIntl,
+            description: 'Time zone, locale, calendar and numbering system' },
+        { name: 'mediaQueries', tier: 'minimal', run: collectMediaQueries,
+            description: 'Color scheme, reduced motion, color gamut and forced colors preferences' },
+        { name: 'connection', tier: 'standard', run: getConnectionInfo,
+            description: 'Network effective type, max downlink and round-trip time' },
+        { name: 'plugins', tier: 'standard', run: getPluginsAndMimes,
+            description: 'Installed plugin and MIME type names' },
+        { name: 'fonts', tier: 'standard', toggle: 'fonts', legacy: '[object Promise]', run: (cfg, token) => detectFonts(token, cfg.fontList || DEFAULT_FONTS),
+            description: 'Which of a fixed list of fonts are installed' },
+        { name: 'canvas', tier: 'standard', toggle: 'canvas', legacy: '[object Promise]', run: (cfg, token) => getCanvasFingerprint(token),
+            description: 'Rendering of a test image on a 2D canvas' },
+        { name: 'webgl', tier: 'standard', toggle: 'webgl', legacy: '[object Promise]', run: cfg => getWebGLFingerprint(tierAllows(cfg.tier, 'full')),
+            description: {
+                standard: 'WebGL version, vendor, renderer, precision and supported extensions',
+                full: 'WebGL version, vendor, renderer, precision and supported extensions, plus the unmasked GPU vendor and renderer'
+            } },
+        { name: 'audio', tier: 'standard', toggle: 'audio', run: getAudioFingerprint,
+            description: 'Hash of a short offline-rendered audio signal' },
+        { name: 'mediaDevices', tier: 'full', toggle: 'mediaDevices', since: 2, run: getMediaDeviceInfo,
+            description: 'Number of cameras, microphones and speakers (no labels)' },
+        { name: 'permissions', tier: 'full', toggle: 'permissions', since: 2, run: getPermissionStates,
+            description: 'Camera, microphone, geolocation and notification permission states' },
+        { name: 'battery', tier: 'full', toggle: 'battery', since: 2, run: getBatteryInfo,
+            description: 'Charging state and battery level (off unless battery: true)' }
+    ];
+
+    // ----------------------
+    // Schema versions and custom probes
+    // ----------------------
+    // Bump when the built-in probe set or its hash input changes. IDs are
+    // emitted as "v<version>:<hash>", or "v<version>.<revision>:<hash>" with
+    // custom probes; version 1 is the bare hex hash.
+    //   1: the original generate(): fonts, canvas and webgl were never awaited
+    //      and hashed as '[object Promise]'; no mediaDevices/permissions/battery.
+    //   2: every probe awaited, canvas as a PNG hash, mediaDevices/permissions/battery.
+    const SCHEMA_VERSION = 2;
+
+    // Probes added through registerProbe(), appended after the built-ins in
+    // registration order.
+    const CUSTOM_PROBES = [];
+
+    // Highest custom probe revision registered so far.
+    function customRevisions() {
+        return CUSTOM_PROBES.reduce((max, p) => Math.max(max, p.since), 0);
+    }
+
+    // A custom probe joins IDs from custom revision `since` on, counted apart
+    // from the built-in schema so a library upgrade never reuses a number:
+    // "v2.1:<hash>" is schema 2 plus the custom probes with since <= 1. By
+    // default each probe gets the next revision, so the IDs generate() returns
+    // stay the same until generate({ revision }) / migrate() ask for it.
+    // weight and rule apply to compare().
+    function registerProbe(name, fn, options = {}) {
+        if (typeof fn !== 'function') throw new Error(`DeviceID: probe "${name}" must be a function`);
+        if (!/^\w+$/.test(name)) throw new Error(`DeviceID: invalid probe name "${name}"`);
+        if (PROBES.concat(CUSTOM_PROBES).some(p => p.name === name)) throw new Error(`DeviceID: probe "${name}" already exists`);
+        const tier = options.tier || 'full';
+        if (TIERS.indexOf(tier) === -1) throw new Error(`DeviceID: unknown tier "${tier}"`);
+        const since = options.since ?? customRevisions() + 1;
+        if (!(Number.isInteger(since) && since >= 1)) throw new Error(`DeviceID: invalid revision ${since} for probe "${name}"`);
+        CUSTOM_PROBES.push({
+            name,
+            tier,
+            custom: true,
+            since,
+            async: options.async !== false,
+            run: (cfg, token) => fn(token),
+            description: options.description || 'Custom probe',
+            weight: options.weight ?? 1,
+            rule: options.rule
+        });
+    }
+
+    // { name: probe[key] } for the custom probes that set key.
+    function customCompare(key) {
+        const out = {};
+        CUSTOM_PROBES.forEach(p => { if (p[key] !== undefined) out[p.name] = p[key]; });
+        return out;
+    }
 
-        const parts = [];
+    function allProbes() {
+        return PROBES.concat(CUSTOM_PROBES);
+    }
+
+    // Whether a probe or component is hashed at schema `version` plus custom
+    // probe `revision`.
+    function hashedAt(p, version, revision) {
+        return p.custom ? p.since <= revision : (p.since || 1) <= version;
+    }
 
-        parts.push('nav:' + collectStableNavigator());
-        parts.push('screen:' + collectStableScreen());
-        parts.push('intl:' + collectIntl());
-        parts.push('mediaQueries:' + collectMediaQueries());
-        parts.push('connection:' + getConnectionInfo());
-        parts.push('plugins:' + getPluginsAndMimes());
+    function componentList(cfg) {
+        return allProbes()
+            .filter(p => tierAllows(cfg.tier, p.tier) && (!p.toggle || cfg[p.toggle]) && hashedAt(p, cfg.version, cfg.revision))
+            .map(p => ({ name: p.name, since: p.since || 1, custom: !!p.custom, legacy: p.legacy, async: p.async !== false, run: token => p.run(cfg, token) }));
+    }
 
-        // fonts
-        if (cfg.fonts) {
-            parts.push('fonts:' + safe(() => detectFonts(), ''));
+    // Hash of the components that belong to `version` / `revision`, in the
+    // versioned format. Timed-out and skipped components are left out rather
+    // than hashed as ''.
+    async function idFor(list, version, revision, salt, worker) {
+        const parts = list
+            .filter(c => hashedAt(c, version, revision))
+            .map(c => version < 2 && c.legacy !== undefined ? { name: c.name, value: c.legacy, status: 'ok' } : c)
+            .filter(c => c.status === 'ok');
+        const hash = await digest(joinComponents(parts), salt, worker);
+        if (version <= 1) return hash;
+        return revision > 0 ? `v${version}.${revision}:${hash}` : `v${version}:${hash}`;
+    }
+
+    // "v2.1:<hex>" -> { version: 2, revision: 1, hash }, "v2:<hex>" -> revision
+    // 0, bare hex -> version 1, else null.
+    function parse(id) {
+        const m = /^(?:v(\d+)(?:\.(\d+))?:)?([0-9a-f]{64})$/.exec(String(id || ''));
+        if (!m) return null;
+        return { version: m[1] ? parseInt(m[1], 10) : 1, revision: m[2] ? parseInt(m[2], 10) : 0, hash: m[3] };
+    }
+
+    // Human-readable list of what is collected at a tier, or at every tier.
+    function explain(tier) {
+        if (!tier) {
+            const out = {};
+            TIERS.forEach(t => { out[t] = explain(t); });
+            return out;
         }
+        if (TIERS.indexOf(tier) === -1) throw new Error(`DeviceID: unknown tier "${tier}"`);
+        return allProbes()
+            .filter(p => tierAllows(tier, p.tier))
+            .map(p => {
+                let description = p.description;
+                if (typeof description !== 'string') {
+                    const t = TIERS.slice(0, TIERS.indexOf(tier) + 1).reverse().find(k => description[k]);
+                    description = description[t];
+                }
+                return { name: p.name, tier: p.tier, description };
+            });
+    }
 
-        // canvas & webgl
-        parts.push('canvas:' + safe(() => getCanvasFingerprint(), ''));
-        parts.push('webgl:' + safe(() => getWebGLFingerprint(), ''));
+    const TIMED_OUT = {};
 
-        // audio (async)
-        if (cfg.audio) {
-            try {
-                const audioHash = await getAudioFingerprint();
-                parts.push('audio:' + (audioHash || ''));
-            } catch (e) {
-                parts.push('audio:');
+    function withTimeout(promise, ms) {
+        if (!(ms > 0) || ms === Infinity) return promise;
+        let timer;
+        const limit = new Promise(resolve => { timer = setTimeout(() => resolve(TIMED_OUT), ms); });
+        return Promise.race([promise, limit]).finally(() => clearTimeout(timer));
+    }
+
+    // Runs every enabled probe in order, one at a time so timings are per probe.
+    // Probes that time out or don't fit in the budget are recorded with an
+    // empty value and status 'timeout' / 'skipped', and left out of the ID.
+    async function runComponents(cfg, worker) {
+        const out = [];
+        const started = now();
+        for (const probe of componentList(cfg)) {
+            const { name, since, custom, legacy } = probe;
+            const remaining = cfg.budget > 0 ? cfg.budget - (now() - started) : Infinity;
+            if (remaining <= 0) {
+                out.push({ name, since, custom, legacy, value: '', duration: 0, status: 'skipped' });
+                continue;
+            }
+            // sync probes can't be interrupted, so only async ones are raced
+            const own = cfg.timeouts[name] ?? cfg.timeout;
+            const limit = probe.async ? Math.min(own > 0 ? own : Infinity, remaining) : Infinity;
+            const token = { cancelled: false, worker };
+            const t0 = now();
+            // eslint-disable-next-line no-await-in-loop
+            const value = await withTimeout(safe(() => probe.run(token), ''), limit);
+            if (value === TIMED_OUT) {
+                token.cancelled = true;
+                out.push({ name, since, custom, legacy, value: '', duration: now() - t0, status: 'timeout' });
+            } else {
+                out.push({ name, since, custom, legacy, value: String(value), duration: now() - t0, status: 'ok' });
             }
         }
+        return out;
+    }
+
+    function joinComponents(list) {
+        return list.map(c => c.name + ':' + c.value).join('||||');
+    }
+
+    // ----------------------
+    // Main generation function
+    // ----------------------
+    async function generate(options = {}) {
+        if (options.detailed) return collect(options);
+        const cfg = resolveConfig(options);
+        const worker = cfg.worker ? getWorker() : null;
+        const list = await runComponents(cfg, worker);
+        // finally, join deterministically and hash (keyed with cfg.salt if set)
+        return await idFor(list, cfg.version, cfg.revision, cfg.salt, worker);
+    }
 
-        // finally, join deterministically and hash
-        const raw = parts.join('||||');
-        return await sha256Hex(raw);
+    // ----------------------
+    // Detailed collection: raw value, hash and timing per component
+    // ----------------------
+    async function collect(options = {}) {
+        const started = now();
+        const cfg = resolveConfig(options);
+        const worker = cfg.worker ? getWorker() : null;
+        const list = await runComponents(cfg, worker);
+        const components = {};
+        for (const c of list) {
+            components[c.name] = {
+                value: c.value,
+                // eslint-disable-next-line no-await-in-loop
+                hash: await digest(c.value, cfg.salt, worker),
+                duration: c.duration,
+                status: c.status
+            };
+        }
+        return {
+            hash: await idFor(list, cfg.version, cfg.revision, cfg.salt, worker),
+            version: cfg.version,
+            revision: cfg.revision,
+            tier: cfg.tier,
+            components,
+            skipped: list.filter(c => c.status !== 'ok').map(c => c.name),
+            duration: now() - started
+        };
+    }
+
+    // ----------------------
+    // Migration: check a stored ID and produce the one for the target version
+    // ----------------------
+    // Probes run once; the stored ID's version / revision and options.version
+    // (default latest) / options.revision (default 0) are hashed from the same
+    // values. Use the same options (tier, salt, toggles) the stored ID was
+    // generated with.
+    async function migrate(oldId, options = {}) {
+        const previous = parse(oldId);
+        if (!previous) throw new Error('DeviceID: unrecognised ID format');
+        const cfg = resolveConfig(options);
+        const target = { version: cfg.version, revision: cfg.revision };
+        cfg.version = Math.max(previous.version, target.version);
+        cfg.revision = Math.max(previous.revision, target.revision);
+        const worker = cfg.worker ? getWorker() : null;
+        const list = await runComponents(cfg, worker);
+        const recomputed = await idFor(list, previous.version, previous.revision, cfg.salt, worker);
+        return {
+            matches: recomputed === oldId,
+            from: previous.version,
+            id: await idFor(list, target.version, target.revision, cfg.salt, worker)
+        };
+    }
+
+    // ----------------------
+    // Compare two collect() results and report which components moved
+    // ----------------------
+    function diff(a, b) {
+        const ca = (a && a.components) || {};
+        const cb = (b && b.components) || {};
+        const changed = [], added = [], removed = [];
+        for (const name of Object.keys(ca)) {
+            if (!(name in cb)) removed.push(name);
+            else if (ca[name].hash !== cb[name].hash) {
+                changed.push({ name, before: ca[name].value, after: cb[name].value });
+            }
+        }
+        for (const name of Object.keys(cb)) {
+            if (!(name in ca)) added.push(name);
+        }
+        return {
+            same: (a && a.hash) === (b && b.hash),
+            changed,
+            added,
+            removed
+        };
+    }
+
+    // ----------------------
+    // Similarity scoring between two collect() results
+    // ----------------------
+    // Relative weight of each component in the overall score.
+    const COMPARE_WEIGHTS = {
+        nav: 3,
+        screen: 2,
+        intl: 2,
+        mediaQueries: 1,
+        connection: 0.5,
+        plugins: 1,
+        fonts: 3,
+        canvas: 4,
+        webgl: 4,
+        audio: 3,
+        mediaDevices: 1,
+        permissions: 0.5,
+        battery: 0
+    };
+
+    // Share of equal entries when both values are split the same way.
+    function fieldSimilarity(a, b, sep) {
+        const fa = a.split(sep), fb = b.split(sep);
+        const n = Math.max(fa.length, fb.length);
+        let same = 0;
+        for (let i = 0; i < n; i++) if (fa[i] === fb[i]) same++;
+        return n ? same / n : 1;
+    }
+
+    // Jaccard index of two unordered lists.
+    function setSimilarity(a, b, sep) {
+        const sa = new Set(a.split(sep).filter(Boolean));
+        const sb = new Set(b.split(sep).filter(Boolean));
+        if (!sa.size && !sb.size) return 1;
+        let inter = 0;
+        sa.forEach(v => { if (sb.has(v)) inter++; });
+        return inter / (sa.size + sb.size - inter);
+    }
+
+    // Version numbers after the first dot (e.g. Chrome/126.0.6478.61 -> Chrome/126)
+    // carry no device information and move with every browser update.
+    function stripMinorVersions(ua) {
+        return ua.replace(/(\d+)(\.\d+)+/g, '$1');
+    }
+
+    // Tolerance rules: (a, b) => similarity in [0, 1]. Components without a
+    // rule score 1 when equal and 0 otherwise.
+    const COMPARE_RULES = {
+        nav(a, b) {
+            const fa = a.split('||'), fb = b.split('||');
+            // userAgent (0) and appVersion (5) usually change together on updates
+            let ua = 1;
+            for (const i of [0, 5]) {
+                if (fa[i] === fb[i]) continue;
+                if (stripMinorVersions(fa[i] || '') === stripMinorVersions(fb[i] || '')) ua = Math.min(ua, 0.9);
+                else if (stripMinorVersions(fa[i] || '').replace(/\d+/g, '') === stripMinorVersions(fb[i] || '').replace(/\d+/g, '')) ua = Math.min(ua, 0.75);
+                else ua = 0;
+            }
+            const rest = fieldSimilarity(fa.filter((_, i) => i !== 0 && i !== 5).join('||'), fb.filter((_, i) => i !== 0 && i !== 5).join('||'), '||');
+            return ua * 0.5 + rest * 0.5;
+        },
+        screen(a, b) {
+            if (a === b) return 1;
+            // width/height move on monitor swaps; depth and pixel ratio less so
+            const fa = a.split('||'), fb = b.split('||');
+            const sizeSame = fa[0] === fb[0] && fa[1] === fb[1];
+            const restSame = fa.slice(2).join('||') === fb.slice(2).join('||');
+            if (restSame) return sizeSame ? 1 : 0.7;
+            return sizeSame ? 0.5 : 0.3;
+        },
+        intl: (a, b) => fieldSimilarity(a, b, '||'),
+        mediaQueries: (a, b) => fieldSimilarity(a, b, '||'),
+        connection: () => 1,
+        plugins: (a, b) => setSimilarity(a, b, '|'),
+        fonts: (a, b) => fieldSimilarity(a, b, ','),
+        mediaDevices: (a, b) => setSimilarity(a, b, ','),
+        permissions: (a, b) => fieldSimilarity(a, b, ',')
+    };
+
+    // Returns { score, match, components } where score is the weighted mean of
+    // per-component similarities. Components missing from (or not collected
+    // on) either side are skipped. options: { weights, rules, threshold }.
+    function compare(a, b, options = {}) {
+        const weights = Object.assign({}, COMPARE_WEIGHTS, customCompare('weight'), options.weights);
+        const rules = Object.assign({}, COMPARE_RULES, customCompare('rule'), options.rules);
+        const threshold = options.threshold ?? 0.85;
+        const ca = (a && a.components) || {};
+        const cb = (b && b.components) || {};
+        const components = {};
+        let total = 0, weighted = 0;
+        for (const name of Object.keys(ca)) {
+            if (!(name in cb)) continue;
+            // timed-out / skipped probes say nothing about the device
+            if ((ca[name].status || 'ok') !== 'ok' || (cb[name].status || 'ok') !== 'ok') continue;
+            const va = ca[name].value, vb = cb[name].value;
+            let sim;
+            if (va === vb) sim = 1;
+            else if (rules[name]) sim = Math.max(0, Math.min(1, rules[name](va, vb)));
+            else sim = 0;
+            components[name] = sim;
+            const w = weights[name] ?? 1;
+            total += w;
+            weighted += w * sim;
+        }
+        const score = total ? weighted / total : 0;
+        return { score, match: score >= threshold, components };
     }
 
-    return { generate };
+    return {
+        generate,
+        collect,
+        diff,
+        compare,
+        explain,
+        registerProbe,
+        parse,
+        migrate,
+        version: SCHEMA_VERSION
+    };
 })();
 
 // export
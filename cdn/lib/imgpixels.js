@@ -0,0 +1,311 @@
+/**
+ * PixelSnapshot - Capture once, then read pixels and regions as often as
+ * needed, and diff two images for visual regression checks.
+ * Load after imgscreen.js when capturing; compare() and the pixel queries
+ * also work on plain { width, height, data } objects (e.g. in jsdom).
+ */
+
+// Largest YIQ distance between two colours (black vs white)
+const MAX_YIQ_DELTA = 35215;
+
+class PixelSnapshot {
+  /**
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA pixels
+   */
+  constructor(imageData) {
+    if (!imageData || !imageData.data || !(imageData.width > 0) || !(imageData.height > 0)) {
+      throw new TypeError('PixelSnapshot needs { width, height, data }');
+    }
+    if (imageData.data.length < imageData.width * imageData.height * 4) {
+      throw new RangeError('Pixel data is shorter than width * height * 4');
+    }
+    this.width = imageData.width;
+    this.height = imageData.height;
+    this.data = imageData.data;
+  }
+
+  /**
+   * Capture the page once with WebsiteCapture. Captures at scale 1 unless told
+   * otherwise, so pixel coordinates are CSS pixels.
+   * @param {WebsiteCapture} [capture] - Instance to capture with (a default one otherwise)
+   * @param {Object} [opts]
+   * @param {boolean} [opts.fullPage=false] - Whole document instead of the viewport
+   * @param {Element|string} [opts.element] - Capture just this element
+   * @param {Object} [opts.region] - Capture a document rectangle { x, y, width, height }
+   * @param {number} [opts.scale=1]
+   * @returns {Promise<PixelSnapshot>}
+   */
+  static async capture(capture, opts = {}) {
+    if (!capture) {
+      if (typeof WebsiteCapture === 'undefined') {
+        throw new Error('WebsiteCapture is not loaded; include imgscreen.js first');
+      }
+      capture = new WebsiteCapture();
+    }
+    const captureOpts = { scale: 1, ...opts, output: 'imageData' };
+    let imageData;
+    if (opts.element) {
+      imageData = await capture.captureElement(opts.element, captureOpts);
+    } else if (opts.region) {
+      imageData = await capture.captureRegion(opts.region, captureOpts);
+    } else if (opts.fullPage) {
+      imageData = await capture.captureFullPage({ ...captureOpts, tiles: false });
+    } else {
+      imageData = await capture.captureViewport(captureOpts);
+    }
+    return new PixelSnapshot(imageData);
+  }
+
+  /**
+   * Snapshot of an existing image
+   * @param {PixelSnapshot|ImageData|HTMLCanvasElement|HTMLImageElement|Blob|string} image
+   *   ImageData-like objects, canvases, loaded images, Blobs or data/object URLs
+   * @returns {Promise<PixelSnapshot>}
+   */
+  static async from(image) {
+    if (image instanceof PixelSnapshot) return image;
+    if (image && image.data && image.width && image.height) return new PixelSnapshot(image);
+
+    let source = image;
+    if (typeof image === 'string' || (typeof Blob !== 'undefined' && image instanceof Blob)) {
+      const url = typeof image === 'string' ? image : URL.createObjectURL(image);
+      try {
+        source = await new Promise((resolve, reject) => {
+          const img = new Image();
+          img.onload = () => resolve(img);
+          img.onerror = () => reject(new Error('Could not decode image'));
+          img.src = url;
+        });
+      } finally {
+        if (url !== image) URL.revokeObjectURL(url);
+      }
+    }
+
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+    let ctx = source.getContext ? source.getContext('2d') : null;
+    if (!ctx) {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      ctx = canvas.getContext('2d');
+      if (!ctx) throw new Error('Canvas 2D is not available to decode the image');
+      ctx.drawImage(source, 0, 0);
+    }
+    return new PixelSnapshot(ctx.getImageData(0, 0, width, height));
+  }
+
+  /**
+   * Colour at (x, y), or null outside the image
+   * @returns {{r: number, g: number, b: number, a: number, hex: string}|null}
+   */
+  getPixel(x, y) {
+    x = Math.floor(x);
+    y = Math.floor(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return null;
+    const i = (y * this.width + x) * 4;
+    return PixelSnapshot._color(this.data[i], this.data[i + 1], this.data[i + 2], this.data[i + 3]);
+  }
+
+  /**
+   * Copy of a rectangle, clamped to the image
+   * @returns {PixelSnapshot}
+   */
+  getRegion(x, y, width, height) {
+    const r = this._clamp({ x, y, width, height });
+    if (!r.width || !r.height) throw new RangeError('Region lies outside the image');
+    const data = new Uint8ClampedArray(r.width * r.height * 4);
+    for (let row = 0; row < r.height; row++) {
+      const start = ((r.y + row) * this.width + r.x) * 4;
+      data.set(this.data.subarray(start, start + r.width * 4), row * r.width * 4);
+    }
+    return new PixelSnapshot({ width: r.width, height: r.height, data });
+  }
+
+  /**
+   * Mean colour of the image or of a rectangle
+   * @param {{x: number, y: number, width: number, height: number}} [region]
+   */
+  average(region) {
+    const r = this._clamp(region || { x: 0, y: 0, width: this.width, height: this.height });
+    const sum = [0, 0, 0, 0];
+    for (let y = r.y; y < r.y + r.height; y++) {
+      for (let x = r.x; x < r.x + r.width; x++) {
+        const i = (y * this.width + x) * 4;
+        for (let c = 0; c < 4; c++) sum[c] += this.data[i + c];
+      }
+    }
+    const n = r.width * r.height || 1;
+    return PixelSnapshot._color(...sum.map(v => Math.round(v / n)));
+  }
+
+  /**
+   * Fraction (0-1) of pixels in a rectangle matching a predicate
+   * @param {function({r, g, b, a}): boolean} predicate - a is 0-255 here
+   * @param {Object} [region]
+   */
+  coverage(predicate, region) {
+    const r = this._clamp(region || { x: 0, y: 0, width: this.width, height: this.height });
+    let hits = 0;
+    for (let y = r.y; y < r.y + r.height; y++) {
+      for (let x = r.x; x < r.x + r.width; x++) {
+        const i = (y * this.width + x) * 4;
+        if (predicate({ r: this.data[i], g: this.data[i + 1], b: this.data[i + 2], a: this.data[i + 3] })) hits++;
+      }
+    }
+    return hits / (r.width * r.height || 1);
+  }
+
+  /**
+   * The pixels as ImageData (or a plain { width, height, data } without DOM)
+   */
+  toImageData() {
+    return PixelSnapshot._imageData(this.width, this.height, new Uint8ClampedArray(this.data));
+  }
+
+  /**
+   * Compare two images pixel by pixel. Colour differences are measured in
+   * YIQ space (perceptual brightness weighs most); pixels outside the
+   * smaller image count as mismatches.
+   * @param {*} imgA - Anything PixelSnapshot.from() accepts
+   * @param {*} imgB
+   * @param {Object} [opts]
+   * @param {number} [opts.threshold=0.1] - 0 (exact) to 1 (anything goes)
+   * @param {Object[]} [opts.ignoreRegions] - { x, y, width, height } rectangles to skip
+   * @param {number[]} [opts.diffColor=[255, 0, 0]] - Highlight for mismatched pixels
+   * @param {string} [opts.output='imageData'] - Diff image as 'imageData' | 'canvas' | 'dataURL'
+   * @returns {Promise<{mismatch: number, mismatchedPixels: number, totalPixels: number,
+   *   width: number, height: number, sameSize: boolean, diff: *}>} mismatch is a percentage
+   */
+  static async compare(imgA, imgB, opts = {}) {
+    const [a, b] = await Promise.all([PixelSnapshot.from(imgA), PixelSnapshot.from(imgB)]);
+    const threshold = opts.threshold ?? 0.1;
+    const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+    const ignore = opts.ignoreRegions || [];
+    const [dr, dg, db] = opts.diffColor || [255, 0, 0];
+
+    const width = Math.max(a.width, b.width);
+    const height = Math.max(a.height, b.height);
+    const diff = new Uint8ClampedArray(width * height * 4);
+    let mismatched = 0;
+    let compared = 0;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const o = (y * width + x) * 4;
+        const inA = x < a.width && y < a.height;
+        const inB = x < b.width && y < b.height;
+        const ia = (y * a.width + x) * 4;
+        const ib = (y * b.width + x) * 4;
+
+        // Unchanged and ignored pixels are drawn as a faded greyscale of A
+        const base = inA ? a.data : b.data;
+        const i0 = inA ? ia : ib;
+        const grey = 255 - 0.1 * (255 - PixelSnapshot._luma(base, i0) * base[i0 + 3] / 255);
+
+        const ignored = ignore.some(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+        const changed = !ignored && (!(inA && inB) || PixelSnapshot._delta(a.data, ia, b.data, ib) > maxDelta);
+        if (!ignored) compared++;
+        if (changed) mismatched++;
+        diff[o] = changed ? dr : grey;
+        diff[o + 1] = changed ? dg : grey;
+        diff[o + 2] = changed ? db : grey;
+        diff[o + 3] = 255;
+      }
+    }
+
+    return {
+      mismatch: compared ? mismatched / compared * 100 : 0,
+      mismatchedPixels: mismatched,
+      totalPixels: compared,
+      width,
+      height,
+      sameSize: a.width === b.width && a.height === b.height,
+      diff: PixelSnapshot._output(PixelSnapshot._imageData(width, height, diff), opts.output || 'imageData')
+    };
+  }
+
+  /**
+   * @private
+   */
+  _clamp({ x = 0, y = 0, width = 0, height = 0 }) {
+    const x0 = Math.max(0, Math.floor(x));
+    const y0 = Math.max(0, Math.floor(y));
+    const x1 = Math.min(this.width, Math.ceil(x + width));
+    const y1 = Math.min(this.height, Math.ceil(y + height));
+    return { x: x0, y: y0, width: Math.max(0, x1 - x0), height: Math.max(0, y1 - y0) };
+  }
+
+  /**
+   * Squared YIQ distance of two RGBA pixels, both blended onto white
+   * @private
+   */
+  static _delta(da, ia, db, ib) {
+    const blend = (d, i, c) => 255 + (d[i + c] - 255) * d[i + 3] / 255;
+    const r1 = blend(da, ia, 0), g1 = blend(da, ia, 1), b1 = blend(da, ia, 2);
+    const r2 = blend(db, ib, 0), g2 = blend(db, ib, 1), b2 = blend(db, ib, 2);
+    const y = (r1 - r2) * 0.29889531 + (g1 - g2) * 0.58662247 + (b1 - b2) * 0.11448223;
+    const i = (r1 - r2) * 0.59597799 - (g1 - g2) * 0.2741761 - (b1 - b2) * 0.32180189;
+    const q = (r1 - r2) * 0.21147017 - (g1 - g2) * 0.52261711 + (b1 - b2) * 0.31114694;
+    return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+  }
+
+  /**
+   * @private
+   */
+  static _luma(d, i) {
+    return d[i] * 0.29889531 + d[i + 1] * 0.58662247 + d[i + 2] * 0.11448223;
+  }
+
+  /**
+   * @private
+   */
+  static _color(r, g, b, a) {
+    return {
+      r,
+      g,
+      b,
+      a: a / 255,
+      hex: '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')
+    };
+  }
+
+  /**
+   * Real ImageData where the DOM has it, a plain object otherwise
+   * @private
+   */
+  static _imageData(width, height, data) {
+    if (typeof ImageData !== 'undefined') {
+      try {
+        return new ImageData(data, width, height);
+      } catch (e) {
+        // some DOM shims lack the (data, width, height) constructor
+      }
+    }
+    return { width, height, data };
+  }
+
+  /**
+   * @private
+   */
+  static _output(imageData, output) {
+    if (output === 'imageData') return imageData;
+    const canvas = document.createElement('canvas');
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas 2D is not available; use output: "imageData"');
+    ctx.putImageData(imageData, 0, 0);
+    if (output === 'canvas') return canvas;
+    if (output === 'dataURL') return canvas.toDataURL('image/png');
+    throw new Error(`Unsupported output: ${output}`);
+  }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PixelSnapshot;
+}
+if (typeof window !== 'undefined') {
+  window.PixelSnapshot = PixelSnapshot;
+}
@@ -3,26 +3,273 @@
  * @version 4.0.0 - Direct pixel reading
  */
 
+// Output formats understood by options.format
+const MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+// Download file extensions per MIME type
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+// Conservative canvas limits that hold across browsers (iOS Safari caps the
+// area at 4096 x 4096, Chrome/Firefox cap each side at 32767).
+const MAX_CANVAS_AREA = 16777216;
+const MAX_CANVAS_DIMENSION = 32767;
+
+const RENDERERS = ['auto', 'html2canvas', 'foreignObject', 'manual'];
+
+// Script URLs already requested, shared by every instance
+const loadedScripts = new Map();
+
+function loadScript(src) {
+  if (!loadedScripts.has(src)) {
+    loadedScripts.set(src, new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = true;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        loadedScripts.delete(src);
+        script.remove();
+        reject(new Error(`Failed to load ${src}`));
+      };
+      document.head.appendChild(script);
+    }));
+  }
+  return loadedScripts.get(src);
+}
+
 class WebsiteCapture {
   constructor(options = {}) {
     this.options = {
       format: options.format || 'png',
       quality: options.quality || 0.92,
-      ...options
+      // 'dataURL' | 'blob' | 'arrayBuffer' | 'imageData' | 'canvas'
+      output: options.output || 'dataURL',
+      // 'auto' | 'html2canvas' | 'foreignObject' | 'manual'. 'auto' picks
+      // html2canvas when it is available at ready() and foreignObject otherwise.
+      renderer: options.renderer || 'auto',
+      // html2canvas function to use instead of the global one
+      html2canvas: options.html2canvas || null,
+      // Script URL to load html2canvas from (self-hosted copy, or a CDN);
+      // nothing is fetched unless this is set
+      html2canvasUrl: options.html2canvasUrl || null,
+      ...options,
+      // Hidden in every capture: [data-capture-redact] elements (value 'blur'
+      // or 'black'), extra selectors, and password fields unless disabled
+      redact: {
+        selectors: [],
+        mode: 'black',
+        maskPasswords: true,
+        ...options.redact
+      }
     };
+    if (!RENDERERS.includes(this.options.renderer)) {
+      throw new Error(`Unknown renderer: ${this.options.renderer}`);
+    }
+    this._ready = null;
+    this._renderer = null;
+    this._html2canvas = null;
+    this._recording = null;
+  }
+
+  /**
+   * Resolve the renderer once; every capture waits for this, so all captures
+   * of an instance use the same renderer.
+   * @returns {Promise<string>} 'html2canvas' | 'foreignObject' | 'manual'
+   */
+  ready() {
+    if (!this._ready) {
+      this._ready = this._resolveRenderer().catch(error => {
+        this._ready = null;
+        throw error;
+      });
+    }
+    return this._ready;
+  }
+
+  /**
+   * @private
+   */
+  async _resolveRenderer() {
+    const { renderer, html2canvasUrl } = this.options;
+    if (renderer === 'foreignObject' || renderer === 'manual') {
+      this._renderer = renderer;
+      return renderer;
+    }
+
+    let lib = this._findHtml2Canvas();
+    if (!lib && html2canvasUrl) {
+      try {
+        await loadScript(html2canvasUrl);
+        lib = this._findHtml2Canvas();
+      } catch (error) {
+        if (renderer === 'html2canvas') throw error;
+      }
+    }
+    if (!lib && renderer === 'html2canvas') {
+      throw new Error('html2canvas is not available; pass options.html2canvas or options.html2canvasUrl');
+    }
+    this._html2canvas = lib;
+    this._renderer = lib ? 'html2canvas' : 'foreignObject';
+    return this._renderer;
+  }
+
+  /**
+   * @private
+   */
+  _findHtml2Canvas() {
+    if (typeof this.options.html2canvas === 'function') return this.options.html2canvas;
+    return typeof html2canvas === 'function' ? html2canvas : null;
   }
 
   /**
    * Capture viewport by reading every pixel
+   * @param {Object} [opts]
+   * @param {number} [opts.scale=1] - Output pixels per CSS pixel (pass devicePixelRatio for a sharp capture)
+   * @param {string} [opts.format] - 'png' | 'jpeg' | 'webp' (defaults to options.format)
+   * @param {string} [opts.output] - 'dataURL' | 'blob' | 'arrayBuffer' | 'imageData' | 'canvas'
+   * @param {Object|false} [opts.redact] - Overrides options.redact for this capture; false disables it
+   * @param {Object[]} [opts.annotations] - Boxes, arrows and labels to draw, see annotate()
    */
-  async captureViewport() {
+  async captureViewport(opts = {}) {
     try {
-      // Use html2canvas if available, otherwise use native browser API
-      if (typeof html2canvas !== 'undefined') {
-        return await this._captureWithHtml2Canvas();
-      } else {
-        return await this._captureWithNativeAPI();
+      await this.ready();
+      const rect = { x: window.scrollX, y: window.scrollY, width: window.innerWidth, height: window.innerHeight };
+      const canvas = await this._renderRegion(rect, { scale: opts.scale || 1 });
+      this._postProcess(canvas, rect, rect, opts);
+      return await this._encode(canvas, opts);
+    } catch (error) {
+      console.error('Capture failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Capture the whole scrollable document, not just the viewport.
+   * Tall pages are rendered in tiles that stay within browser canvas limits
+   * and stitched into one image.
+   * @param {Object} [opts]
+   * @param {boolean} [opts.tiles=false] - Return [{ image, x, y, width, height }] instead of one image
+   * @param {number} [opts.maxTileHeight=4096] - Upper bound for a tile's height (CSS px)
+   * @param {string} [opts.fixedElements='once'] - Fixed elements (headers, banners) are drawn
+   *   in the first tile only ('once'), in every tile ('all') or not at all ('none')
+   * @param {number} [opts.scale=devicePixelRatio] - Output pixels per CSS pixel
+   * @param {string} [opts.format] - See captureViewport()
+   * @param {string} [opts.output] - See captureViewport()
+   * @param {Object|false} [opts.redact] - See captureViewport()
+   * @param {Object[]} [opts.annotations] - See captureViewport(); page coordinates
+   */
+  async captureFullPage(opts = {}) {
+    try {
+      await this.ready();
+      const scale = opts.scale || window.devicePixelRatio || 1;
+      const { width, height } = this._getDocumentSize();
+      const tileHeight = Math.max(1, Math.min(
+        opts.maxTileHeight || 4096,
+        Math.floor(MAX_CANVAS_AREA / (width * scale * scale)),
+        Math.floor(MAX_CANVAS_DIMENSION / scale)
+      ));
+
+      // Fail before rendering anything rather than after every tile
+      if (!opts.tiles && (width * height * scale * scale > MAX_CANVAS_AREA || height * scale > MAX_CANVAS_DIMENSION)) {
+        throw new RangeError(`Page is too large to stitch (${width}x${height}); use { tiles: true }`);
+      }
+
+      const fixed = this._getFixedElements();
+      const tiles = [];
+      for (let y = 0; y < height; y += tileHeight) {
+        const rect = { x: 0, y, width, height: Math.min(tileHeight, height - y) };
+        const mode = opts.fixedElements || 'once';
+        const hidden = mode === 'none' || (mode === 'once' && y > 0) ? fixed : [];
+        // Fixed elements sit at the top of the tile they are drawn in
+        const fixedAt = { x: 0, y };
+        const canvas = await this._renderRegion(rect, { scale, hidden, fixedAt });
+        tiles.push({ rect, canvas: this._postProcess(canvas, rect, { x: 0, y: 0 }, opts, { hidden, fixedAt }) });
+      }
+
+      if (opts.tiles) {
+        return Promise.all(tiles.map(async ({ rect, canvas }) => ({ image: await this._encode(canvas, opts), ...rect })));
+      }
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      for (const tile of tiles) {
+        ctx.drawImage(tile.canvas, 0, Math.round(tile.rect.y * scale));
+      }
+      return await this._encode(canvas, opts);
+    } catch (error) {
+      console.error('Capture failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Capture a single element (card, chart, ...)
+   * @param {Element|string} elOrSelector - Element or CSS selector
+   * @param {Object} [opts]
+   * @param {number} [opts.padding=0] - Extra CSS px around the element
+   * @param {string|null} [opts.backgroundColor] - Fill behind the capture; defaults to the
+   *   page background (white if it has none), null = transparent
+   * @param {number} [opts.scale=devicePixelRatio] - Output pixels per CSS pixel
+   * @param {string} [opts.format] - See captureViewport()
+   * @param {string} [opts.output] - See captureViewport()
+   * @param {Object|false} [opts.redact] - See captureViewport()
+   * @param {Object[]} [opts.annotations] - See captureViewport(); relative to the capture
+   */
+  async captureElement(elOrSelector, opts = {}) {
+    const el = typeof elOrSelector === 'string' ? document.querySelector(elOrSelector) : elOrSelector;
+    if (!el || typeof el.getBoundingClientRect !== 'function') {
+      throw new Error(`Element not found: ${elOrSelector}`);
+    }
+    const r = el.getBoundingClientRect();
+    return this.captureRegion({
+      x: r.left + window.scrollX,
+      y: r.top + window.scrollY,
+      width: r.width,
+      height: r.height
+    }, opts);
+  }
+
+  /**
+   * Capture a rectangle given in document coordinates (CSS px)
+   * @param {{x: number, y: number, width: number, height: number}} region
+   * @param {Object} [opts] - Same as captureElement()
+   */
+  async captureRegion(region, opts = {}) {
+    try {
+      await this.ready();
+      const padding = opts.padding || 0;
+      const scale = opts.scale || window.devicePixelRatio || 1;
+      const doc = this._getDocumentSize();
+      // Pad, then clamp to the document so we never render outside it
+      const x = Math.max(0, Math.floor(region.x - padding));
+      const y = Math.max(0, Math.floor(region.y - padding));
+      const rect = {
+        x,
+        y,
+        width: Math.min(doc.width, Math.ceil(region.x + region.width + padding)) - x,
+        height: Math.min(doc.height, Math.ceil(region.y + region.height + padding)) - y
+      };
+      if (rect.width <= 0 || rect.height <= 0) {
+        throw new RangeError('Region is empty or outside the document');
+      }
+      if (rect.width * rect.height * scale * scale > MAX_CANVAS_AREA) {
+        throw new RangeError(`Region is too large (${rect.width}x${rect.height}) at scale ${scale}`);
       }
+      const canvas = await this._renderRegion(rect, { scale, backgroundColor: opts.backgroundColor });
+      this._postProcess(canvas, rect, rect, opts);
+      return await this._encode(canvas, opts);
     } catch (error) {
       console.error('Capture failed:', error);
       throw error;
@@ -30,302 +277,2596 @@ class WebsiteCapture {
   }
 
   /**
-   * Capture using html2canvas library (best quality)
+   * Draw annotations onto an existing image and return it encoded
+   * @param {string|Blob|HTMLCanvasElement|ImageData} image
+   * @param {Object[]} annotations - Coordinates in CSS pixels (multiplied by opts.scale):
+   *   { type: 'box', x, y, width, height, color, lineWidth, fill }
+   *   { type: 'arrow', from: [x, y], to: [x, y], color, lineWidth }
+   *   { type: 'text', x, y, text, color, background, font }
+   *   Boxes (and arrow ends) may use target: element|selector instead of coordinates
+   *   when the image is a capture of the current viewport.
+   * @param {Object} [opts]
+   * @param {number} [opts.scale=1] - Image pixels per CSS pixel
+   * @param {string} [opts.format] - See captureViewport()
+   * @param {string} [opts.output] - See captureViewport()
+   */
+  async annotate(image, annotations, opts = {}) {
+    const canvas = await this._toCanvas(image);
+    const origin = { x: window.scrollX, y: window.scrollY };
+    this._drawAnnotations(canvas.getContext('2d'), annotations, origin, opts.scale || 1);
+    return this._encode(canvas, opts);
+  }
+
+  /**
+   * Load any supported image source into a fresh canvas
    * @private
    */
-  async _captureWithHtml2Canvas() {
-    const canvas = await html2canvas(document.body, {
-      allowTaint: true,
-      useCORS: true,
-      logging: false,
-      width: window.innerWidth,
-      height: window.innerHeight,
-      scrollX: 0,
-      scrollY: 0,
-      windowWidth: window.innerWidth,
-      windowHeight: window.innerHeight
-    });
+  async _toCanvas(image) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    if (typeof ImageData !== 'undefined' && image instanceof ImageData) {
+      canvas.width = image.width;
+      canvas.height = image.height;
+      ctx.putImageData(image, 0, 0);
+      return canvas;
+    }
+    let source = image;
+    if (typeof image === 'string' || image instanceof Blob) {
+      const url = typeof image === 'string' ? image : URL.createObjectURL(image);
+      source = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = reject;
+        img.src = url;
+      }).finally(() => { if (url !== image) URL.revokeObjectURL(url); });
+    }
+    canvas.width = source.naturalWidth || source.width;
+    canvas.height = source.naturalHeight || source.height;
+    ctx.drawImage(source, 0, 0);
+    return canvas;
+  }
 
-    const mimeType = this.options.format === 'jpeg' ? 'image/jpeg' : 'image/png';
-    return canvas.toDataURL(mimeType, this.options.quality);
+  /**
+   * Apply redaction and annotations to a freshly rendered canvas
+   * @private
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} rect - Document area shown by the canvas
+   * @param {{x: number, y: number}} origin - Document point annotations are relative to
+   * @param {Object} opts - Capture options
+   * @param {{hidden: Element[], fixedAt: {x: number, y: number}}} [render] - The options
+   *   the canvas was rendered with, see _renderRegion()
+   */
+  _postProcess(canvas, rect, origin, opts = {}, { hidden = [], fixedAt } = {}) {
+    const scale = canvas.width / rect.width;
+    const ctx = canvas.getContext('2d');
+    if (opts.redact !== false) {
+      this._applyRedactions(ctx, rect, scale, { ...this.options.redact, ...opts.redact }, { hidden, fixedAt });
+    }
+    if (opts.annotations && opts.annotations.length) {
+      ctx.save();
+      ctx.scale(scale, scale);
+      ctx.translate(origin.x - rect.x, origin.y - rect.y);
+      this._drawAnnotations(ctx, opts.annotations, origin, 1);
+      ctx.restore();
+    }
+    return canvas;
   }
 
   /**
-   * Capture using native browser APIs
+   * Elements the redaction rules select, mapped to 'blur' or 'black'
    * @private
+   * @returns {Map<Element, string>}
    */
-  async _captureWithNativeAPI() {
-    return new Promise((resolve, reject) => {
-      const width = window.innerWidth;
-      const height = window.innerHeight;
+  _redactionTargets(rules) {
+    const targets = new Map();
+    document.querySelectorAll('[data-capture-redact]').forEach(el => {
+      const mode = el.getAttribute('data-capture-redact');
+      targets.set(el, mode === 'blur' || mode === 'black' ? mode : rules.mode);
+    });
+    (rules.selectors || []).forEach(selector => {
+      document.querySelectorAll(selector).forEach(el => {
+        if (!targets.has(el)) targets.set(el, rules.mode);
+      });
+    });
+    if (rules.maskPasswords) {
+      document.querySelectorAll('input[type="password"]').forEach(el => {
+        if (!targets.has(el)) targets.set(el, 'black');
+      });
+    }
+    return targets;
+  }
 
-      // Create canvas
-      const canvas = document.createElement('canvas');
-      canvas.width = width;
-      canvas.height = height;
-      const ctx = canvas.getContext('2d');
+  /**
+   * Black out or blur every element the redaction rules select. Boxes inside
+   * fixed elements are placed relative to fixedAt, where every renderer puts
+   * them (see _renderRegion()); elements left out of the render are not
+   * redacted.
+   * @private
+   */
+  _applyRedactions(ctx, rect, scale, rules, { hidden = [], fixedAt = { x: window.scrollX, y: window.scrollY } } = {}) {
+    const targets = this._redactionTargets(rules);
+    let fixed = null;
 
-      // Method 1: Use foreignObject SVG (captures everything pixel-perfect)
-      const data = `
-        <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
-          <foreignObject width="100%" height="100%">
-            <html xmlns="http://www.w3.org/1999/xhtml">
-              <head>
-                <style>
-                  ${this._getAllStyles()}
-                </style>
-              </head>
-              <body style="margin: 0; padding: 0; width: ${width}px; height: ${height}px; overflow: hidden;">
-                ${document.body.innerHTML}
-              </body>
-            </html>
-          </foreignObject>
-        </svg>
-      `;
-
-      const blob = new Blob([data], { type: 'image/svg+xml;charset=utf-8' });
-      const url = URL.createObjectURL(blob);
+    targets.forEach((mode, el) => {
+      if (hidden.some(h => h.contains(el))) return;
+      const r = el.getBoundingClientRect();
+      if (!r.width || !r.height) return;
+      if (!fixed) fixed = this._getFixedElements();
+      const pinned = fixed.some(f => f.contains(el));
+      const sx = pinned ? fixedAt.x : window.scrollX;
+      const sy = pinned ? fixedAt.y : window.scrollY;
+      // Document rect -> canvas pixels, clipped to the canvas
+      const x = Math.max(0, Math.floor((r.left + sx - rect.x) * scale));
+      const y = Math.max(0, Math.floor((r.top + sy - rect.y) * scale));
+      const w = Math.min(ctx.canvas.width, Math.ceil((r.right + sx - rect.x) * scale)) - x;
+      const h = Math.min(ctx.canvas.height, Math.ceil((r.bottom + sy - rect.y) * scale)) - y;
+      if (w <= 0 || h <= 0) return;
+      if (mode === 'blur') this._blurArea(ctx, x, y, w, h);
+      else {
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(x, y, w, h);
+      }
+    });
+  }
 
-      const img = new Image();
-      img.onload = () => {
-        // Draw image pixel by pixel to canvas
-        ctx.drawImage(img, 0, 0, width, height);
-        URL.revokeObjectURL(url);
-
-        const mimeType = this.options.format === 'jpeg' ? 'image/jpeg' : 'image/png';
-        const base64 = canvas.toDataURL(mimeType, this.options.quality);
-        resolve(base64);
-      };
+  /**
+   * Pixelate then blur an area; pixelation alone already makes text unreadable
+   * where ctx.filter is unsupported
+   * @private
+   */
+  _blurArea(ctx, x, y, w, h) {
+    const block = Math.max(6, Math.round(Math.min(w, h) / 4));
+    const small = document.createElement('canvas');
+    small.width = Math.max(1, Math.ceil(w / block));
+    small.height = Math.max(1, Math.ceil(h / block));
+    small.getContext('2d').drawImage(ctx.canvas, x, y, w, h, 0, 0, small.width, small.height);
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    if ('filter' in ctx) ctx.filter = `blur(${Math.round(block / 2)}px)`;
+    ctx.beginPath();
+    ctx.rect(x, y, w, h);
+    ctx.clip();
+    ctx.drawImage(small, 0, 0, small.width, small.height, x, y, w, h);
+    ctx.restore();
+  }
 
-      img.onerror = (error) => {
-        URL.revokeObjectURL(url);
-        // Fallback to manual pixel reading
-        this._captureManually(canvas, ctx, width, height)
-          .then(resolve)
-          .catch(reject);
+  /**
+   * Draw boxes, arrows and text labels (see annotate())
+   * @private
+   * @param {{x: number, y: number}} origin - Document point that maps to (0, 0), for targets
+   */
+  _drawAnnotations(ctx, annotations, origin, scale) {
+    const targetRect = (target) => {
+      const el = typeof target === 'string' ? document.querySelector(target) : target;
+      if (!el) return null;
+      const r = el.getBoundingClientRect();
+      return {
+        x: r.left + window.scrollX - origin.x,
+        y: r.top + window.scrollY - origin.y,
+        width: r.width,
+        height: r.height
       };
+    };
 
-      img.src = url;
-    });
+    ctx.save();
+    ctx.scale(scale, scale);
+    for (const a of annotations) {
+      const color = a.color || '#ff3b30';
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = a.lineWidth || 3;
+      ctx.lineJoin = 'round';
+      ctx.lineCap = 'round';
+
+      if (a.type === 'box') {
+        const r = a.target ? targetRect(a.target) : a;
+        if (!r) continue;
+        const pad = a.padding || 0;
+        if (a.fill) {
+          ctx.fillStyle = a.fill;
+          ctx.fillRect(r.x - pad, r.y - pad, r.width + pad * 2, r.height + pad * 2);
+        }
+        ctx.strokeRect(r.x - pad, r.y - pad, r.width + pad * 2, r.height + pad * 2);
+      } else if (a.type === 'arrow') {
+        let to = a.to;
+        if (a.target) {
+          const r = targetRect(a.target);
+          if (!r) continue;
+          to = [r.x + r.width / 2, r.y + r.height / 2];
+        }
+        const [x1, y1] = a.from;
+        const [x2, y2] = to;
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const head = a.headSize || 6 + ctx.lineWidth * 3;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2 - Math.cos(angle) * head * 0.8, y2 - Math.sin(angle) * head * 0.8);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(x2, y2);
+        ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 7), y2 - head * Math.sin(angle - Math.PI / 7));
+        ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 7), y2 - head * Math.sin(angle + Math.PI / 7));
+        ctx.closePath();
+        ctx.fill();
+      } else if (a.type === 'text') {
+        ctx.font = a.font || 'bold 16px sans-serif';
+        ctx.textBaseline = 'top';
+        const pad = a.padding ?? 4;
+        const lines = String(a.text).split('\n');
+        const lineHeight = parseFloat(ctx.font.match(/(\d+(?:\.\d+)?)px/)?.[1] || 16) * 1.25;
+        const width = Math.max(...lines.map(l => ctx.measureText(l).width));
+        if (a.background !== null) {
+          ctx.fillStyle = a.background || 'rgba(255, 255, 255, 0.9)';
+          ctx.fillRect(a.x - pad, a.y - pad, width + pad * 2, lines.length * lineHeight + pad * 2);
+        }
+        ctx.fillStyle = color;
+        lines.forEach((line, i) => ctx.fillText(line, a.x, a.y + i * lineHeight));
+      }
+    }
+    ctx.restore();
   }
 
   /**
-   * Manually capture by drawing each element
+   * Full scrollable size of the document in CSS pixels
    * @private
    */
-  async _captureManually(canvas, ctx, width, height) {
-    return new Promise((resolve) => {
-      // Fill white background
-      ctx.fillStyle = '#ffffff';
-      ctx.fillRect(0, 0, width, height);
+  _getDocumentSize() {
+    const doc = document.documentElement;
+    const body = document.body;
+    return {
+      width: Math.max(doc.scrollWidth, body.scrollWidth, doc.clientWidth),
+      height: Math.max(doc.scrollHeight, body.scrollHeight, doc.clientHeight)
+    };
+  }
 
-      // Get all elements sorted by rendering order
-      const elements = this._getAllElementsInOrder();
+  /**
+   * The page's canvas colour (html or body background), else white
+   * @private
+   */
+  _pageBackground() {
+    return [document.documentElement, document.body]
+      .map(el => window.getComputedStyle(el).backgroundColor)
+      .find(color => !this._isTransparent(color)) || '#ffffff';
+  }
 
-      // Draw each element
-      for (const el of elements) {
-        this._drawElementComplete(ctx, el);
-      }
+  /**
+   * Elements pinned to the viewport, which would otherwise repeat in every tile.
+   * Sticky elements render in their normal flow position, so only fixed ones count.
+   * @private
+   */
+  _getFixedElements() {
+    return Array.from(document.querySelectorAll('body *'))
+      .filter(el => window.getComputedStyle(el).position === 'fixed');
+  }
 
-      const mimeType = this.options.format === 'jpeg' ? 'image/jpeg' : 'image/png';
-      const base64 = canvas.toDataURL(mimeType, this.options.quality);
-      resolve(base64);
-    });
+  /**
+   * Render a rectangle of the document (document coordinates) to a canvas
+   * with the renderer picked by ready().
+   * @private
+   * @param {{x: number, y: number, width: number, height: number}} rect
+   * @param {{scale: number, hidden: Element[], backgroundColor: (string|null), fixedAt: {x: number, y: number}}} opts -
+   *   backgroundColor defaults to the page background for every renderer; null = transparent.
+   *   fixedAt is the document point fixed elements are laid out against, the
+   *   current scroll position by default
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async _renderRegion(rect, { scale = 1, hidden = [], backgroundColor, fixedAt = { x: window.scrollX, y: window.scrollY } } = {}) {
+    if (backgroundColor === undefined) backgroundColor = this._pageBackground();
+    if (this._renderer === 'manual') {
+      return this._renderRegionManually(rect, { scale, hidden, backgroundColor, fixedAt });
+    }
+    if (this._renderer === 'html2canvas') {
+      const { width } = this._getDocumentSize();
+      return this._html2canvas(document.body, {
+        allowTaint: true,
+        useCORS: true,
+        logging: false,
+        scale,
+        x: rect.x,
+        y: rect.y,
+        width: rect.width,
+        height: rect.height,
+        scrollX: 0,
+        scrollY: 0,
+        windowWidth: width,
+        windowHeight: window.innerHeight,
+        ignoreElements: el => hidden.includes(el),
+        // The clone is laid out unscrolled, which would leave fixed elements
+        // at the top of the document
+        onclone: doc => this._pinClonedFixed(doc, fixedAt),
+        backgroundColor
+      });
+    }
+    return this._renderRegionWithNativeAPI(rect, { scale, hidden, backgroundColor, fixedAt });
   }
 
   /**
-   * Get all styles from the page
+   * foreignObject rendering of a document rectangle, falling back to the
+   * manual painter if the SVG image fails to load.
    * @private
    */
-  _getAllStyles() {
-    let styles = '';
-    
-    // Get all stylesheets
-    for (let sheet of document.styleSheets) {
-      try {
-        const rules = sheet.cssRules || sheet.rules;
-        if (rules) {
-          for (let rule of rules) {
-            styles += rule.cssText + '\n';
-          }
-        }
-      } catch (e) {
-        // Cross-origin stylesheets
-      }
+  async _renderRegionWithNativeAPI(rect, { scale = 1, hidden = [], backgroundColor, fixedAt } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(rect.width * scale);
+    canvas.height = Math.round(rect.height * scale);
+    const ctx = canvas.getContext('2d');
+    if (backgroundColor) {
+      ctx.fillStyle = backgroundColor;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
     }
 
-    // Get inline styles
-    const allElements = document.querySelectorAll('*');
-    allElements.forEach(el => {
-      if (el.style.cssText) {
-        const id = el.id || `el-${Math.random().toString(36).substr(2, 9)}`;
-        if (!el.id) el.id = id;
-        styles += `#${id} { ${el.style.cssText} }\n`;
-      }
+    let data = null;
+    try {
+      data = await this._buildSVG(rect, { scale, hidden, fixedAt });
+    } catch (e) {
+      // fall through to the manual painter
+    }
+
+    const img = data && await new Promise((resolve) => {
+      const url = URL.createObjectURL(new Blob([data], { type: 'image/svg+xml;charset=utf-8' }));
+      const image = new Image();
+      image.onload = () => { URL.revokeObjectURL(url); resolve(image); };
+      image.onerror = () => { URL.revokeObjectURL(url); resolve(null); };
+      image.src = url;
     });
 
-    return styles;
+    if (img) {
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    } else {
+      ctx.save();
+      ctx.scale(scale, scale);
+      await this._paintManually(ctx, rect, { hidden, backgroundColor, fixedAt });
+      ctx.restore();
+    }
+    return canvas;
+  }
+
+  /**
+   * Paint a document rectangle with the manual painter only
+   * @private
+   */
+  async _renderRegionManually(rect, { scale = 1, hidden = [], backgroundColor, fixedAt } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(rect.width * scale);
+    canvas.height = Math.round(rect.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    await this._paintManually(ctx, rect, { hidden, backgroundColor, fixedAt });
+    return canvas;
+  }
+
+  /**
+   * SVG markup showing a document rectangle through a foreignObject
+   * @private
+   */
+  async _buildSVG(rect, { scale = 1, hidden = [], redact = null, fixedAt = { x: window.scrollX, y: window.scrollY } } = {}) {
+    const { width, height } = this._getDocumentSize();
+    const markup = await this._serializeDocument({ width, height, hidden, redact, fixedAt });
+    // Crop with the viewBox so the SVG rasterizes at the output resolution
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(rect.width * scale)}" height="${Math.round(rect.height * scale)}" ` +
+      `viewBox="${rect.x} ${rect.y} ${rect.width} ${rect.height}">` +
+      `<foreignObject x="0" y="0" width="${width}" height="${height}">${markup}</foreignObject></svg>`;
   }
 
   /**
-   * Get all elements in rendering order
+   * Serialize the page into a standalone XHTML document for foreignObject.
+   * Works on a clone: images, CSS url()s and webfonts are inlined as data
+   * URIs, canvases are snapshotted, and live form state and scroll offsets
+   * are copied over. The live document is never modified.
    * @private
+   * @param {Object|null} [redact] - Redaction rules; matching elements become
+   *   empty black boxes, since the markup itself must not carry their content
+   * @param {{x: number, y: number}} [fixedAt] - Where fixed elements go, see _renderRegion().
+   *   The foreignObject viewport is the whole document, so they are pinned explicitly
+   * @returns {Promise<string>}
    */
-  _getAllElementsInOrder() {
-    const elements = Array.from(document.querySelectorAll('body, body *'));
-    
-    // Sort by z-index and DOM order
-    return elements.sort((a, b) => {
-      const styleA = window.getComputedStyle(a);
-      const styleB = window.getComputedStyle(b);
-      
-      const zIndexA = parseInt(styleA.zIndex) || 0;
-      const zIndexB = parseInt(styleB.zIndex) || 0;
-      
-      if (zIndexA !== zIndexB) {
-        return zIndexA - zIndexB;
+  async _serializeDocument({ width, height, hidden = [], redact = null, fixedAt = { x: window.scrollX, y: window.scrollY } }) {
+    const cache = new Map();
+    const body = document.body;
+    const clone = body.cloneNode(true);
+    const redacted = redact ? this._redactionTargets(redact) : new Map();
+
+    // Pair live and cloned elements up front; both lists share document order
+    const live = [body, ...body.querySelectorAll('*')];
+    const copies = [clone, ...clone.querySelectorAll('*')];
+    const jobs = [];
+
+    live.forEach((el, i) => {
+      const copy = copies[i];
+      // Skip the insides of removed and redacted elements
+      if (!copy || !clone.contains(copy)) return;
+      if (hidden.includes(el) || el.tagName === 'SCRIPT' || el.tagName === 'NOSCRIPT' ||
+          (el.tagName === 'LINK' && /stylesheet/i.test(el.rel))) {
+        copy.remove();
+        return;
+      }
+      // Before redaction, so a redacted fixed element keeps its place
+      const placement = el !== body && this._fixedPlacement(el);
+      if (placement) this._pinFixed(copy, placement, fixedAt);
+      if (el !== body && redacted.has(el)) {
+        copy.replaceWith(this._redactedBox(el, copy));
+        return;
+      }
+      this._copyFormState(el, copy);
+      jobs.push(this._inlineElementResources(el, copy, cache));
+    });
+    await Promise.all(jobs);
+
+    // Scroll offsets last, since they re-parent children
+    live.forEach((el, i) => {
+      if (el !== body && (el.scrollTop || el.scrollLeft) && clone.contains(copies[i])) {
+        this._applyScroll(el, copies[i]);
       }
-      
-      // If same z-index, maintain DOM order
-      return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
     });
+
+    const serializer = new XMLSerializer();
+    const style = document.createElementNS('http://www.w3.org/1999/xhtml', 'style');
+    style.textContent = await this._collectStyles(cache);
+    const root = document.documentElement;
+    const rootAttrs = ['class', 'style', 'lang', 'dir']
+      .filter(name => root.hasAttribute(name))
+      .map(name => ` ${name}="${this._escapeAttr(root.getAttribute(name))}"`)
+      .join('');
+
+    return `<html xmlns="http://www.w3.org/1999/xhtml"${rootAttrs}>` +
+      `<head>${serializer.serializeToString(style)}</head>` +
+      serializer.serializeToString(clone) +
+      '</html>';
   }
 
   /**
-   * Draw element completely with all properties
+   * Viewport position and border-box size of a fixed element, or null if it
+   * isn't fixed to the viewport (a transformed or filtered ancestor holds it)
    * @private
    */
-  _drawElementComplete(ctx, el) {
-    const rect = el.getBoundingClientRect();
-    const style = window.getComputedStyle(el);
-
-    // Skip invisible elements
-    if (rect.width === 0 || rect.height === 0 ||
-        style.display === 'none' ||
-        style.visibility === 'hidden' ||
-        parseFloat(style.opacity) === 0) {
-      return;
+  _fixedPlacement(el) {
+    const view = el.ownerDocument.defaultView;
+    const style = view.getComputedStyle(el);
+    if (style.position !== 'fixed') return null;
+    for (let node = el.parentElement; node; node = node.parentElement) {
+      const s = view.getComputedStyle(node);
+      if ((s.transform && s.transform !== 'none') || (s.filter && s.filter !== 'none') ||
+          (s.perspective && s.perspective !== 'none')) return null;
     }
+    const top = parseFloat(style.top);
+    const left = parseFloat(style.left);
+    if (Number.isNaN(top) || Number.isNaN(left)) return null;
+    return { top, left, width: el.offsetWidth, height: el.offsetHeight };
+  }
 
-    ctx.save();
-    ctx.globalAlpha = parseFloat(style.opacity) || 1;
+  /**
+   * Place a copied fixed element at its live viewport position moved by
+   * fixedAt, whatever size the renderer's own viewport has
+   * @private
+   */
+  _pinFixed(copy, { top, left, width, height }, fixedAt) {
+    const set = (name, value) => copy.style.setProperty(name, value, 'important');
+    set('top', `${top + fixedAt.y}px`);
+    set('left', `${left + fixedAt.x}px`);
+    set('bottom', 'auto');
+    set('right', 'auto');
+    set('box-sizing', 'border-box');
+    set('width', `${width}px`);
+    set('height', `${height}px`);
+  }
 
-    // Background
-    if (style.backgroundColor && style.backgroundColor !== 'rgba(0, 0, 0, 0)') {
-      ctx.fillStyle = style.backgroundColor;
-      ctx.fillRect(rect.left, rect.top, rect.width, rect.height);
-    }
+  /**
+   * _pinFixed() every fixed element of an html2canvas clone; all are measured
+   * before any is moved
+   * @private
+   */
+  _pinClonedFixed(doc, fixedAt) {
+    Array.from(doc.body.querySelectorAll('*'))
+      .map(el => [el, this._fixedPlacement(el)])
+      .filter(([, placement]) => placement)
+      .forEach(([el, placement]) => this._pinFixed(el, placement, fixedAt));
+  }
 
-    // Borders
-    if (parseFloat(style.borderWidth) > 0) {
-      ctx.strokeStyle = style.borderColor || '#000';
-      ctx.lineWidth = parseFloat(style.borderWidth);
-      ctx.strokeRect(rect.left, rect.top, rect.width, rect.height);
-    }
+  /**
+   * Empty black box taking a redacted element's place in the clone. Only
+   * id, class and style are kept, for layout; no text, value or source.
+   * @private
+   */
+  _redactedBox(el, copy) {
+    const style = window.getComputedStyle(el);
+    const r = el.getBoundingClientRect();
+    const box = document.createElementNS('http://www.w3.org/1999/xhtml', 'div');
+    ['id', 'class'].forEach(name => {
+      if (copy.hasAttribute(name)) box.setAttribute(name, copy.getAttribute(name));
+    });
+    const own = copy.getAttribute('style');
+    const display = !style.display || style.display === 'inline' ? 'inline-block' : style.display;
+    box.setAttribute('style', `${own ? own + ';' : ''}display:${display};box-sizing:border-box;` +
+      `width:${el.offsetWidth ?? r.width}px;height:${el.offsetHeight ?? r.height}px;` +
+      'background:#000;border-color:#000;color:transparent;overflow:hidden');
+    return box;
+  }
 
-    // Images
-    if (el.tagName === 'IMG' && el.complete) {
-      try {
-        ctx.drawImage(el, rect.left, rect.top, rect.width, rect.height);
-      } catch (e) {}
+  /**
+   * Mirror live input/select/textarea state into attributes the clone keeps
+   * @private
+   */
+  _copyFormState(el, copy) {
+    if (el.tagName === 'INPUT') {
+      if (el.type === 'checkbox' || el.type === 'radio') {
+        if (el.checked) copy.setAttribute('checked', '');
+        else copy.removeAttribute('checked');
+      } else if (el.type !== 'file' && el.type !== 'password') {
+        copy.setAttribute('value', el.value);
+      }
+    } else if (el.tagName === 'TEXTAREA') {
+      copy.textContent = el.value;
+    } else if (el.tagName === 'SELECT') {
+      Array.from(el.options).forEach((option, i) => {
+        const target = copy.options[i];
+        if (!target) return;
+        if (option.selected) target.setAttribute('selected', '');
+        else target.removeAttribute('selected');
+      });
     }
+  }
 
-    // Canvas
-    if (el.tagName === 'CANVAS') {
+  /**
+   * Inline <img> sources and style="url()" values; snapshot canvas/video
+   * @private
+   */
+  async _inlineElementResources(el, copy, cache) {
+    const tag = el.tagName;
+    if (tag === 'CANVAS' || (tag === 'VIDEO' && el.readyState >= 2)) {
+      const img = document.createElementNS('http://www.w3.org/1999/xhtml', 'img');
       try {
-        ctx.drawImage(el, rect.left, rect.top, rect.width, rect.height);
-      } catch (e) {}
+        img.setAttribute('src', this._snapshotMedia(el));
+      } catch (e) {
+        // tainted canvas/video: leave an empty box of the same size
+      }
+      for (const attr of Array.from(copy.attributes)) {
+        if (attr.name !== 'src' && attr.name !== 'width' && attr.name !== 'height') img.setAttribute(attr.name, attr.value);
+      }
+      img.style.width = el.clientWidth + 'px';
+      img.style.height = el.clientHeight + 'px';
+      copy.replaceWith(img);
+      return;
     }
+    if (tag === 'IMG' && (el.currentSrc || el.src)) {
+      copy.removeAttribute('srcset');
+      copy.removeAttribute('loading');
+      copy.setAttribute('src', await this._fetchAsDataURL(el.currentSrc || el.src, cache));
+    }
+    const inline = copy.getAttribute && copy.getAttribute('style');
+    if (inline && inline.includes('url(')) {
+      copy.setAttribute('style', await this._inlineCssUrls(inline, document.baseURI, cache));
+    }
+  }
+
+  /**
+   * Current frame of a canvas or video as a PNG data URL
+   * @private
+   */
+  _snapshotMedia(el) {
+    if (el.tagName === 'CANVAS') return el.toDataURL('image/png');
+    const canvas = document.createElement('canvas');
+    canvas.width = el.videoWidth;
+    canvas.height = el.videoHeight;
+    canvas.getContext('2d').drawImage(el, 0, 0);
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * Keep a scrolled container showing the same content as on screen
+   * @private
+   */
+  _applyScroll(el, copy) {
+    if (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return;
+    const inner = document.createElementNS('http://www.w3.org/1999/xhtml', 'div');
+    inner.setAttribute('style', `transform: translate(${-el.scrollLeft}px, ${-el.scrollTop}px);`);
+    while (copy.firstChild) inner.appendChild(copy.firstChild);
+    copy.appendChild(inner);
+    copy.style.overflow = 'hidden';
+  }
 
-    // Video
-    if (el.tagName === 'VIDEO' && el.readyState >= 2) {
+  /**
+   * All stylesheet rules as text, with url() resources (images, @font-face
+   * sources) inlined. Cross-origin sheets are fetched when CORS allows.
+   * @private
+   */
+  async _collectStyles(cache) {
+    const chunks = [];
+    const readSheet = async (sheet) => {
+      const base = sheet.href || document.baseURI;
+      let rules = null;
       try {
-        ctx.drawImage(el, rect.left, rect.top, rect.width, rect.height);
-      } catch (e) {}
+        rules = sheet.cssRules || sheet.rules;
+      } catch (e) {
+        // Cross-origin stylesheet: try to fetch its text instead
+      }
+      if (!rules) {
+        if (!sheet.href) return;
+        try {
+          const res = await fetch(sheet.href, { mode: 'cors' });
+          if (res.ok) chunks.push(await this._inlineCssUrls(await res.text(), base, cache));
+        } catch (e) {
+          // unreachable: the sheet is skipped
+        }
+        return;
+      }
+      for (const rule of Array.from(rules)) {
+        if (rule.styleSheet && typeof CSSImportRule !== 'undefined' && rule instanceof CSSImportRule) {
+          await readSheet(rule.styleSheet);
+        } else {
+          chunks.push(await this._inlineCssUrls(rule.cssText, base, cache));
+        }
+      }
+    };
+    for (const sheet of Array.from(document.styleSheets)) {
+      await readSheet(sheet);
     }
+    return chunks.join('\n');
+  }
 
-    // Text (only for elements with direct text content)
-    const text = Array.from(el.childNodes)
-      .filter(n => n.nodeType === Node.TEXT_NODE)
-      .map(n => n.textContent)
-      .join('')
-      .trim();
+  /**
+   * Replace url(...) references in CSS text with data URIs
+   * @private
+   */
+  async _inlineCssUrls(css, base, cache) {
+    const pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+    const urls = new Set();
+    let m;
+    while ((m = pattern.exec(css))) {
+      if (!/^(data:|#)/.test(m[2])) urls.add(m[2]);
+    }
+    if (!urls.size) return css;
+    const resolved = new Map();
+    await Promise.all(Array.from(urls).map(async (u) => {
+      let absolute = u;
+      try {
+        absolute = new URL(u, base).href;
+      } catch (e) {
+        // keep as written
+      }
+      resolved.set(u, await this._fetchAsDataURL(absolute, cache));
+    }));
+    return css.replace(pattern, (all, quote, u) => resolved.has(u) ? `url("${resolved.get(u)}")` : all);
+  }
 
-    if (text && !this._hasBlockChildren(el)) {
-      ctx.fillStyle = style.color || '#000';
-      ctx.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
-      ctx.textBaseline = 'top';
-      
-      const x = rect.left + parseFloat(style.paddingLeft || 0);
-      const y = rect.top + parseFloat(style.paddingTop || 0);
-      
-      ctx.fillText(text, x, y, rect.width);
+  /**
+   * Fetch a resource as a data URI, memoized per capture. Falls back to the
+   * original URL when the fetch is blocked (CORS, offline).
+   * @private
+   */
+  _fetchAsDataURL(url, cache) {
+    if (/^data:/.test(url)) return Promise.resolve(url);
+    if (!cache.has(url)) {
+      cache.set(url, fetch(url, { mode: 'cors' })
+        .then(res => res.ok ? res.blob() : Promise.reject(new Error(res.status)))
+        .then(blob => new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = reject;
+          reader.readAsDataURL(blob);
+        }))
+        .catch(() => url));
     }
+    return cache.get(url);
+  }
 
-    ctx.restore();
+  /**
+   * @private
+   */
+  _escapeAttr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
   }
 
   /**
-   * Check if element has block-level children
+   * Encode a canvas as the requested output type. Browsers without WebP
+   * encoding silently fall back to PNG.
    * @private
+   * @param {HTMLCanvasElement} canvas
+   * @param {{format: string, output: string, quality: number}} [opts] - Defaults to this.options
    */
-  _hasBlockChildren(el) {
-    return Array.from(el.children).some(child => {
-      const display = window.getComputedStyle(child).display;
-      return ['block', 'flex', 'grid', 'table'].includes(display);
-    });
+  async _encode(canvas, opts = {}) {
+    const output = opts.output || this.options.output;
+    const format = opts.format || this.options.format;
+    const quality = opts.quality || this.options.quality;
+    const mimeType = MIME_TYPES[format];
+    if (!mimeType) throw new Error(`Unsupported format: ${format}`);
+
+    switch (output) {
+      case 'dataURL':
+        return canvas.toDataURL(mimeType, quality);
+      case 'blob':
+        return this._canvasToBlob(canvas, mimeType, quality);
+      case 'arrayBuffer':
+        return (await this._canvasToBlob(canvas, mimeType, quality)).arrayBuffer();
+      case 'imageData':
+        return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+      case 'canvas':
+        return canvas;
+      default:
+        throw new Error(`Unsupported output: ${output}`);
+    }
   }
 
   /**
-   * Get pixel color at coordinates
+   * Promise wrapper around canvas.toBlob
+   * @private
    */
-  async getPixelColor(x, y) {
-    const base64 = await this.captureViewport();
-    
+  _canvasToBlob(canvas, mimeType, quality) {
     return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = img.width;
-        canvas.height = img.height;
-        ctx.drawImage(img, 0, 0);
-        
-        const pixel = ctx.getImageData(x, y, 1, 1).data;
-        resolve({
-          r: pixel[0],
-          g: pixel[1],
-          b: pixel[2],
-          a: pixel[3] / 255,
-          hex: '#' + [pixel[0], pixel[1], pixel[2]]
-            .map(v => v.toString(16).padStart(2, '0'))
-            .join('')
-        });
-      };
-      img.onerror = reject;
-      img.src = base64;
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas encoding failed')), mimeType, quality);
     });
   }
 
   /**
-   * Download screenshot
+   * Manually paint every element of a document rectangle onto ctx
+   * (document coordinates, CSS px). Elements are painted per stacking
+   * context in CSS order; background images and inline SVGs are loaded
+   * up front because painting itself is synchronous. Fixed elements are
+   * moved from the live viewport to fixedAt (see _renderRegion()).
+   * @private
    */
-  downloadImage(base64, filename = 'screenshot.png') {
-    const link = document.createElement('a');
-    link.href = base64;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  }
-}
+  async _paintManually(ctx, rect, { hidden = [], backgroundColor, fixedAt = { x: window.scrollX, y: window.scrollY } } = {}) {
+    const images = await this._preloadPaintImages(hidden);
+
+    // The element painter works in viewport coordinates
+    ctx.translate(window.scrollX - rect.x, window.scrollY - rect.y);
+
+    // Fill background (_renderRegion() resolves the page default)
+    if (backgroundColor) {
+      ctx.fillStyle = backgroundColor;
+      ctx.fillRect(rect.x - window.scrollX, rect.y - window.scrollY, rect.width, rect.height);
+    }
 
-// Auto-load html2canvas if not present
-if (typeof window !== 'undefined' && typeof html2canvas === 'undefined') {
-  const script = document.createElement('script');
-  script.src = 'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js';
-  script.async = true;
-  document.head.appendChild(script);
+    const paint = {
+      hidden,
+      images,
+      styles: new Map(),
+      boxes: new Map(),
+      // Maps the current layer's local coordinates to viewport coordinates
+      matrix: [1, 0, 0, 1, 0, 0],
+      // Offset from where fixed elements are measured to where they are painted
+      fixedShift: { x: fixedAt.x - window.scrollX, y: fixedAt.y - window.scrollY },
+      pinned: false
+    };
+    this._paintLayer(ctx, document.body, paint);
+  }
+
+  /**
+   * Load CSS background images and rasterize inline SVGs for the painter
+   * @private
+   * @returns {Promise<Map>} url or <svg> element -> loaded image
+   */
+  async _preloadPaintImages(hidden) {
+    const images = new Map();
+    const cache = new Map();
+    const requested = new Set();
+    const load = src => new Promise(resolve => {
+      const img = new Image();
+      const timer = setTimeout(() => resolve(null), 3000);
+      img.onload = () => { clearTimeout(timer); resolve(img); };
+      img.onerror = () => { clearTimeout(timer); resolve(null); };
+      img.src = src;
+    });
+    const jobs = [];
+
+    document.querySelectorAll('body *').forEach(el => {
+      if (hidden.some(h => h.contains(el))) return;
+      const style = window.getComputedStyle(el);
+
+      if (el.tagName.toLowerCase() === 'svg' && !el.parentElement.closest('svg')) {
+        const r = el.getBoundingClientRect();
+        if (!r.width || !r.height) return;
+        const copy = el.cloneNode(true);
+        copy.setAttribute('width', r.width);
+        copy.setAttribute('height', r.height);
+        // currentColor would otherwise resolve to black inside the image
+        copy.style.color = style.color;
+        const markup = new XMLSerializer().serializeToString(copy);
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+        jobs.push(load(url).then(img => {
+          URL.revokeObjectURL(url);
+          if (img) images.set(el, img);
+        }));
+        return;
+      }
+
+      const background = style.backgroundImage;
+      if (!background || !background.includes('url(')) return;
+      for (const [, , url] of background.matchAll(/url\((['"]?)(.*?)\1\)/g)) {
+        if (requested.has(url)) continue;
+        requested.add(url);
+        jobs.push(this._fetchAsDataURL(url, cache).then(load).then(img => {
+          if (img) images.set(url, img);
+        }));
+      }
+    });
+
+    await Promise.all(jobs);
+    return images;
+  }
+
+  /**
+   * Paint a stacking context: its own box, then negative z-index layers,
+   * in-flow block boxes, in-flow content (text, images, form controls),
+   * z-index auto/0 layers and positive z-index layers.
+   * @private
+   */
+  _paintLayer(ctx, root, paint) {
+    const style = this._style(root, paint);
+    const opacity = parseFloat(style.opacity);
+    if (opacity === 0) return;
+
+    // Shift the outermost fixed element (and everything painted inside it)
+    if (style.position === 'fixed' && !paint.pinned && (paint.fixedShift.x || paint.fixedShift.y)) {
+      ctx.save();
+      ctx.translate(paint.fixedShift.x, paint.fixedShift.y);
+      paint.pinned = true;
+      this._paintLayer(ctx, root, paint);
+      paint.pinned = false;
+      ctx.restore();
+      return;
+    }
+
+    const box = this._localBox(root, style, paint);
+    const transform = root === document.body ? null : this._parseTransform(style.transform);
+    const filter = style.filter && style.filter !== 'none' ? style.filter : 'none';
+    const blend = style.mixBlendMode && style.mixBlendMode !== 'normal' ? style.mixBlendMode : null;
+
+    // Opacity, filters and blend modes apply to the layer as a whole, so it
+    // is painted onto its own canvas, just large enough for what the layer
+    // can reach, and composited at that offset afterwards
+    let target = ctx;
+    let bounds = null;
+    const group = opacity < 1 || filter !== 'none' || blend;
+    if (group) {
+      bounds = this._layerBounds(ctx, root, filter, paint);
+      if (!bounds) return;
+      const layer = document.createElement('canvas');
+      layer.width = bounds.width;
+      layer.height = bounds.height;
+      target = layer.getContext('2d');
+      const t = ctx.getTransform();
+      target.setTransform(t.a, t.b, t.c, t.d, t.e - bounds.x, t.f - bounds.y);
+    }
+
+    const parentMatrix = paint.matrix;
+    target.save();
+    if (transform) {
+      const [ox, oy] = this._transformOrigin(style, box.width, box.height);
+      const px = box.x + ox;
+      const py = box.y + oy;
+      const local = this._multiply(this._multiply([1, 0, 0, 1, px, py], transform), [1, 0, 0, 1, -px, -py]);
+      target.transform(...local);
+      paint.matrix = this._multiply(parentMatrix, local);
+    }
+
+    const lists = { negative: [], flow: [], positioned: [], positive: [] };
+    this._collectLayer(root, style, paint, lists);
+    const byZ = (a, b) => a.z - b.z;
+    const visible = el => !/^(hidden|collapse)$/.test(this._style(el, paint).visibility);
+    const layer = item => this._withClip(target, item.el, root, paint, () => this._paintLayer(target, item.el, paint));
+
+    if (visible(root)) this._paintBox(target, root, style, box, paint);
+    lists.negative.sort(byZ).forEach(layer);
+    lists.flow.forEach(el => {
+      if (!visible(el)) return;
+      this._withClip(target, el, root, paint, () => {
+        this._paintBox(target, el, this._style(el, paint), this._localBox(el, this._style(el, paint), paint), paint);
+      });
+    });
+    if (visible(root)) this._paintContent(target, root, style, box, paint);
+    lists.flow.forEach(el => {
+      if (!visible(el)) return;
+      this._withClip(target, el, root, paint, () => {
+        this._paintContent(target, el, this._style(el, paint), this._localBox(el, this._style(el, paint), paint), paint);
+      });
+    });
+    lists.positioned.forEach(layer);
+    lists.positive.sort(byZ).forEach(layer);
+
+    target.restore();
+    paint.matrix = parentMatrix;
+
+    if (group) {
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalAlpha = opacity;
+      if (filter !== 'none') ctx.filter = filter;
+      if (blend) ctx.globalCompositeOperation = blend;
+      ctx.drawImage(target.canvas, bounds.x, bounds.y);
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Canvas pixel rectangle a grouped layer can paint into: the transformed
+   * bounds of root and its descendants, grown by their outer shadows and
+   * the layer's filter, clipped to the canvas. Null when it is off-canvas.
+   * @private
+   */
+  _layerBounds(ctx, root, filter, paint) {
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    [root, ...root.querySelectorAll('*')].forEach(el => {
+      if (paint.hidden.some(h => h.contains(el))) return;
+      const r = el.getBoundingClientRect();
+      if (!r.width && !r.height) return;
+      const grow = this._parseShadows(this._style(el, paint).boxShadow)
+        .filter(shadow => !shadow.inset)
+        .reduce((max, shadow) => Math.max(max, Math.max(Math.abs(shadow.x), Math.abs(shadow.y)) + shadow.blur + shadow.spread), 0);
+      left = Math.min(left, r.left - grow);
+      top = Math.min(top, r.top - grow);
+      right = Math.max(right, r.right + grow);
+      bottom = Math.max(bottom, r.bottom + grow);
+    });
+    if (left > right) return null;
+
+    // Viewport -> current layer coordinates -> canvas pixels
+    const t = ctx.getTransform();
+    const xs = [];
+    const ys = [];
+    [[left, top], [right, top], [left, bottom], [right, bottom]].forEach(([vx, vy]) => {
+      const [x, y] = this._unproject(paint.matrix, vx, vy);
+      xs.push(t.a * x + t.c * y + t.e);
+      ys.push(t.b * x + t.d * y + t.f);
+    });
+    const overflow = this._filterOverflow(filter) * Math.max(Math.hypot(t.a, t.b), Math.hypot(t.c, t.d));
+    const x0 = Math.max(0, Math.floor(Math.min(...xs) - overflow));
+    const y0 = Math.max(0, Math.floor(Math.min(...ys) - overflow));
+    const x1 = Math.min(ctx.canvas.width, Math.ceil(Math.max(...xs) + overflow));
+    const y1 = Math.min(ctx.canvas.height, Math.ceil(Math.max(...ys) + overflow));
+    if (x1 <= x0 || y1 <= y0) return null;
+    return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+  }
+
+  /**
+   * How far (CSS px) blur() and drop-shadow() in a filter reach past the content
+   * @private
+   */
+  _filterOverflow(filter) {
+    let extent = 0;
+    for (const part of filter === 'none' ? [] : filter.match(/[a-z-]+\((?:[^()]|\([^()]*\))*\)/g) || []) {
+      const lengths = (part.match(/-?[\d.]+px/g) || []).map(parseFloat);
+      // A Gaussian blur is visually gone after about three standard deviations
+      if (part.startsWith('blur(')) extent += 3 * (lengths[0] || 0);
+      else if (part.startsWith('drop-shadow(')) {
+        extent += Math.max(Math.abs(lengths[0] || 0), Math.abs(lengths[1] || 0)) + 3 * (lengths[2] || 0);
+      }
+    }
+    return extent;
+  }
+
+  /**
+   * Sort the descendants of a stacking context into its paint lists.
+   * Positioned elements without a z-index are painted atomically with the
+   * z-index: 0 layers, which is close enough for a fallback renderer.
+   * @private
+   */
+  _collectLayer(parent, parentStyle, paint, lists) {
+    for (const el of parent.children) {
+      if (paint.hidden.includes(el)) continue;
+      const style = this._style(el, paint);
+      if (style.display === 'none') continue;
+
+      if (this._isStackingContext(style, parentStyle)) {
+        const z = parseInt(style.zIndex, 10) || 0;
+        const list = z < 0 ? lists.negative : z > 0 ? lists.positive : lists.positioned;
+        list.push({ el, z });
+      } else if (style.position !== 'static') {
+        lists.positioned.push({ el, z: 0 });
+      } else {
+        lists.flow.push(el);
+        if (!this._isReplaced(el)) this._collectLayer(el, style, paint, lists);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isStackingContext(style, parentStyle) {
+    if (style.position === 'fixed' || style.position === 'sticky') return true;
+    if (style.zIndex !== 'auto' &&
+        (style.position !== 'static' || /flex|grid/.test(parentStyle.display))) {
+      return true;
+    }
+    return parseFloat(style.opacity) < 1 ||
+      (style.transform && style.transform !== 'none') ||
+      (style.filter && style.filter !== 'none') ||
+      (style.mixBlendMode && style.mixBlendMode !== 'normal') ||
+      style.isolation === 'isolate' ||
+      /paint|strict|content/.test(style.contain || '') ||
+      /transform|opacity|filter/.test(style.willChange || '');
+  }
+
+  /**
+   * Elements whose children are not painted as boxes of their own
+   * @private
+   */
+  _isReplaced(el) {
+    return ['IMG', 'CANVAS', 'VIDEO', 'IFRAME', 'OBJECT', 'EMBED', 'SELECT', 'TEXTAREA', 'svg']
+      .includes(el.tagName);
+  }
+
+  /**
+   * Run draw() clipped by every overflow container between el and root
+   * @private
+   */
+  _withClip(ctx, el, root, paint, draw) {
+    const clips = [];
+    for (let node = el.parentElement; node && node !== document.body; node = node.parentElement) {
+      const style = this._style(node, paint);
+      if (style.overflowX !== 'visible' || style.overflowY !== 'visible') clips.unshift([node, style]);
+      if (node === root) break;
+    }
+
+    ctx.save();
+    for (const [node, style] of clips) {
+      const box = this._localBox(node, style, paint);
+      const widths = this._borderWidths(style);
+      ctx.beginPath();
+      this._roundRectPath(ctx, this._insetBox(box, widths), this._insetRadii(this._borderRadii(style, box), widths));
+      ctx.clip();
+    }
+    draw();
+    ctx.restore();
+  }
+
+  /**
+   * Computed style, memoized for one paint
+   * @private
+   */
+  _style(el, paint) {
+    if (!paint.styles.has(el)) paint.styles.set(el, window.getComputedStyle(el));
+    return paint.styles.get(el);
+  }
+
+  /**
+   * Untransformed border box of el in the current layer's coordinates.
+   * getBoundingClientRect() returns the transformed bounds, but an affine
+   * transform maps the box centre to the bounds centre, so the centre is
+   * mapped back and the layout size taken from offsetWidth/Height.
+   * @private
+   */
+  _localBox(el, style, paint) {
+    if (paint.boxes.has(el)) return paint.boxes.get(el);
+    const r = el.getBoundingClientRect();
+    let box = { x: r.left, y: r.top, width: r.width, height: r.height };
+    const own = el === document.body ? null : this._parseTransform(style.transform);
+
+    if ((own || !this._isIdentity(paint.matrix)) && el.offsetWidth !== undefined) {
+      const width = el.offsetWidth;
+      const height = el.offsetHeight;
+      let [cx, cy] = this._unproject(paint.matrix, r.left + r.width / 2, r.top + r.height / 2);
+      if (own) {
+        // Undo the element's own transform about its transform-origin
+        const [ox, oy] = this._transformOrigin(style, width, height);
+        const qx = ox - width / 2;
+        const qy = oy - height / 2;
+        const [a, b, c, d, e, f] = own;
+        cx += -qx + a * qx + c * qy - e;
+        cy += -qy + b * qx + d * qy - f;
+      }
+      box = { x: cx - width / 2, y: cy - height / 2, width, height };
+    }
+    paint.boxes.set(el, box);
+    return box;
+  }
+
+  /**
+   * 2D part of a computed transform as [a, b, c, d, e, f], or null
+   * @private
+   */
+  _parseTransform(value) {
+    if (!value || value === 'none') return null;
+    const values = (value.match(/-?[\d.]+(?:e-?\d+)?/g) || []).map(Number);
+    if (value.startsWith('matrix3d(')) {
+      return [values[1], values[2], values[5], values[6], values[13], values[14]];
+    }
+    return values.length >= 6 ? values.slice(-6) : null;
+  }
+
+  /**
+   * @private
+   */
+  _transformOrigin(style, width, height) {
+    const [x = '50%', y = '50%'] = (style.transformOrigin || '').split(' ');
+    const len = (v, ref) => v.endsWith('%') ? parseFloat(v) / 100 * ref : parseFloat(v) || 0;
+    return [len(x, width), len(y, height)];
+  }
+
+  /**
+   * m * n, both as [a, b, c, d, e, f]
+   * @private
+   */
+  _multiply(m, n) {
+    return [
+      m[0] * n[0] + m[2] * n[1],
+      m[1] * n[0] + m[3] * n[1],
+      m[0] * n[2] + m[2] * n[3],
+      m[1] * n[2] + m[3] * n[3],
+      m[0] * n[4] + m[2] * n[5] + m[4],
+      m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+  }
+
+  /**
+   * Map a viewport point back through m
+   * @private
+   */
+  _unproject(m, x, y) {
+    const det = m[0] * m[3] - m[1] * m[2] || 1;
+    const dx = x - m[4];
+    const dy = y - m[5];
+    return [(m[3] * dx - m[2] * dy) / det, (m[0] * dy - m[1] * dx) / det];
+  }
+
+  /**
+   * @private
+   */
+  _isIdentity(m) {
+    return m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 && m[4] === 0 && m[5] === 0;
+  }
+
+  /**
+   * @private
+   */
+  _isTransparent(color) {
+    return !color || color === 'transparent' || /^rgba\(.*,\s*0\)$/.test(color);
+  }
+
+  /**
+   * Split a CSS value on separators outside parentheses
+   * @private
+   */
+  _splitTopLevel(value, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < value.length; i++) {
+      const ch = value[i];
+      if (ch === '(') depth++;
+      else if (ch === ')') depth--;
+      else if (ch === separator && depth === 0) {
+        parts.push(value.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    parts.push(value.slice(start).trim());
+    return parts.filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  _borderWidths(style) {
+    return {
+      top: parseFloat(style.borderTopWidth) || 0,
+      right: parseFloat(style.borderRightWidth) || 0,
+      bottom: parseFloat(style.borderBottomWidth) || 0,
+      left: parseFloat(style.borderLeftWidth) || 0
+    };
+  }
+
+  /**
+   * Shrink a box by per-side amounts (negative amounts grow it)
+   * @private
+   */
+  _insetBox(box, inset) {
+    return {
+      x: box.x + inset.left,
+      y: box.y + inset.top,
+      width: Math.max(0, box.width - inset.left - inset.right),
+      height: Math.max(0, box.height - inset.top - inset.bottom)
+    };
+  }
+
+  /**
+   * Corner radii as { tl, tr, br, bl } of [horizontal, vertical], scaled
+   * down when adjacent radii overlap
+   * @private
+   */
+  _borderRadii(style, box) {
+    const parse = (value = '') => {
+      const [h = '0', v = h] = value.split(' ');
+      const len = (s, ref) => s.endsWith('%') ? parseFloat(s) / 100 * ref : parseFloat(s) || 0;
+      return [len(h, box.width), len(v, box.height)];
+    };
+    const r = {
+      tl: parse(style.borderTopLeftRadius),
+      tr: parse(style.borderTopRightRadius),
+      br: parse(style.borderBottomRightRadius),
+      bl: parse(style.borderBottomLeftRadius)
+    };
+    const f = Math.min(1,
+      box.width / (r.tl[0] + r.tr[0] || 1),
+      box.width / (r.bl[0] + r.br[0] || 1),
+      box.height / (r.tl[1] + r.bl[1] || 1),
+      box.height / (r.tr[1] + r.br[1] || 1));
+    if (f < 1) Object.values(r).forEach(c => { c[0] *= f; c[1] *= f; });
+    return r;
+  }
+
+  /**
+   * Radii of a box inset by per-side amounts
+   * @private
+   */
+  _insetRadii(r, inset) {
+    const clamp = v => Math.max(0, v);
+    return {
+      tl: [clamp(r.tl[0] - inset.left), clamp(r.tl[1] - inset.top)],
+      tr: [clamp(r.tr[0] - inset.right), clamp(r.tr[1] - inset.top)],
+      br: [clamp(r.br[0] - inset.right), clamp(r.br[1] - inset.bottom)],
+      bl: [clamp(r.bl[0] - inset.left), clamp(r.bl[1] - inset.bottom)]
+    };
+  }
+
+  /**
+   * Add a rounded rectangle subpath (callers begin and use the path)
+   * @private
+   */
+  _roundRectPath(ctx, box, { tl, tr, br, bl }) {
+    const { x, y, width: w, height: h } = box;
+    ctx.moveTo(x + tl[0], y);
+    ctx.lineTo(x + w - tr[0], y);
+    ctx.ellipse(x + w - tr[0], y + tr[1], tr[0], tr[1], 0, -Math.PI / 2, 0);
+    ctx.lineTo(x + w, y + h - br[1]);
+    ctx.ellipse(x + w - br[0], y + h - br[1], br[0], br[1], 0, 0, Math.PI / 2);
+    ctx.lineTo(x + bl[0], y + h);
+    ctx.ellipse(x + bl[0], y + h - bl[1], bl[0], bl[1], 0, Math.PI / 2, Math.PI);
+    ctx.lineTo(x, y + tl[1]);
+    ctx.ellipse(x + tl[0], y + tl[1], tl[0], tl[1], 0, Math.PI, Math.PI * 1.5);
+    ctx.closePath();
+  }
+
+  /**
+   * Parse a computed box-shadow or text-shadow list
+   * @private
+   */
+  _parseShadows(value) {
+    if (!value || value === 'none') return [];
+    return this._splitTopLevel(value).map(part => {
+      const color = (part.match(/(?:rgba?|hsla?)\([^)]*\)|#[0-9a-f]{3,8}\b/i) || [])[0];
+      const rest = color ? part.replace(color, ' ') : part;
+      const [x = 0, y = 0, blur = 0, spread = 0] = (rest.match(/-?[\d.]+/g) || []).map(parseFloat);
+      return { color: color || '#000000', x, y, blur, spread, inset: /\binset\b/.test(rest) };
+    });
+  }
+
+  /**
+   * Set ctx shadow state for a CSS shadow. Canvas shadow offsets and blur
+   * ignore the current transform, so they are converted to device pixels.
+   * @private
+   * @param {number} [shiftX=0] - Extra local x offset (see _paintOuterShadow)
+   */
+  _setShadow(ctx, shadow, shiftX = 0) {
+    const m = ctx.getTransform();
+    const x = shadow.x + shiftX;
+    const y = shadow.y;
+    ctx.shadowColor = shadow.color;
+    ctx.shadowOffsetX = m.a * x + m.c * y;
+    ctx.shadowOffsetY = m.b * x + m.d * y;
+    ctx.shadowBlur = shadow.blur * Math.sqrt(Math.abs(m.a * m.d - m.b * m.c));
+  }
+
+  /**
+   * Backgrounds, shadows and borders of one element
+   * @private
+   */
+  _paintBox(ctx, el, style, box, paint) {
+    // Inline boxes can wrap; paint the background of each line fragment
+    if (style.display === 'inline' && this._isIdentity(paint.matrix)) {
+      if (!this._isTransparent(style.backgroundColor)) {
+        ctx.fillStyle = style.backgroundColor;
+        for (const r of el.getClientRects()) ctx.fillRect(r.left, r.top, r.width, r.height);
+      }
+      return;
+    }
+    if (!box.width || !box.height) return;
+
+    const radii = this._borderRadii(style, box);
+    const shadows = this._parseShadows(style.boxShadow);
+    // The first shadow in the list is on top
+    shadows.filter(s => !s.inset).reverse().forEach(s => this._paintOuterShadow(ctx, box, radii, s));
+    this._paintBackground(ctx, style, box, radii, paint);
+    shadows.filter(s => s.inset).reverse().forEach(s => this._paintInsetShadow(ctx, style, box, radii, s));
+    this._paintBorders(ctx, style, box, radii);
+  }
+
+  /**
+   * Outer box-shadow. The shadow shape is drawn off to the side and only its
+   * shadow lands on the canvas, clipped so none shows beneath the box.
+   * @private
+   */
+  _paintOuterShadow(ctx, box, radii, shadow) {
+    const spread = -shadow.spread;
+    const inset = { top: spread, right: spread, bottom: spread, left: spread };
+    const shape = this._insetBox(box, inset);
+    const margin = Math.abs(shadow.x) + Math.abs(shadow.y) + shadow.blur * 2 + Math.abs(shadow.spread) + 1;
+    const shift = box.width + margin * 3;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(box.x - margin, box.y - margin, box.width + margin * 2, box.height + margin * 2);
+    this._roundRectPath(ctx, box, radii);
+    ctx.clip('evenodd');
+    this._setShadow(ctx, shadow, shift);
+    ctx.beginPath();
+    this._roundRectPath(ctx, { ...shape, x: shape.x - shift }, this._insetRadii(radii, inset));
+    ctx.fillStyle = '#000000';
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * Inset box-shadow: the shadow of a frame around the (spread-shrunk) box
+   * @private
+   */
+  _paintInsetShadow(ctx, style, box, radii, shadow) {
+    const widths = this._borderWidths(style);
+    const inner = this._insetBox(box, widths);
+    const innerRadii = this._insetRadii(radii, widths);
+    const spread = { top: shadow.spread, right: shadow.spread, bottom: shadow.spread, left: shadow.spread };
+    const hole = this._insetBox(inner, spread);
+    const margin = Math.abs(shadow.x) + Math.abs(shadow.y) + shadow.blur * 2 + 1;
+    const shift = inner.width + margin * 4;
+
+    ctx.save();
+    ctx.beginPath();
+    this._roundRectPath(ctx, inner, innerRadii);
+    ctx.clip();
+    this._setShadow(ctx, shadow, shift);
+    ctx.beginPath();
+    ctx.rect(inner.x - margin - shift, inner.y - margin, inner.width + margin * 2, inner.height + margin * 2);
+    this._roundRectPath(ctx, { ...hole, x: hole.x - shift }, this._insetRadii(innerRadii, spread));
+    ctx.fillStyle = '#000000';
+    ctx.fill('evenodd');
+    ctx.restore();
+  }
+
+  /**
+   * Background colour plus gradient and url() layers
+   * @private
+   */
+  _paintBackground(ctx, style, box, radii, paint) {
+    const layers = style.backgroundImage && style.backgroundImage !== 'none'
+      ? this._splitTopLevel(style.backgroundImage)
+      : [];
+    const transparent = this._isTransparent(style.backgroundColor);
+    if (transparent && !layers.length) return;
+
+    const widths = this._borderWidths(style);
+    const padding = {
+      top: parseFloat(style.paddingTop) || 0,
+      right: parseFloat(style.paddingRight) || 0,
+      bottom: parseFloat(style.paddingBottom) || 0,
+      left: parseFloat(style.paddingLeft) || 0
+    };
+    let area = box;
+    let areaRadii = radii;
+    if (style.backgroundClip === 'padding-box' || style.backgroundClip === 'content-box') {
+      area = this._insetBox(box, widths);
+      areaRadii = this._insetRadii(radii, widths);
+      if (style.backgroundClip === 'content-box') {
+        area = this._insetBox(area, padding);
+        areaRadii = this._insetRadii(areaRadii, padding);
+      }
+    }
+    // Background images are positioned relative to the padding box
+    const origin = this._insetBox(box, widths);
+
+    ctx.save();
+    ctx.beginPath();
+    this._roundRectPath(ctx, area, areaRadii);
+    ctx.clip();
+    if (!transparent) {
+      ctx.fillStyle = style.backgroundColor;
+      ctx.fillRect(area.x, area.y, area.width, area.height);
+    }
+
+    const sizes = this._splitTopLevel(style.backgroundSize || 'auto');
+    const xs = this._splitTopLevel(style.backgroundPositionX || '0%');
+    const ys = this._splitTopLevel(style.backgroundPositionY || '0%');
+    const repeats = this._splitTopLevel(style.backgroundRepeat || 'repeat');
+    // The first layer is on top
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const layer = layers[i];
+      if (/^(repeating-)?(linear|radial)-gradient\(/.test(layer)) {
+        this._paintGradient(ctx, layer, origin, area);
+        continue;
+      }
+      const url = (layer.match(/^url\((['"]?)(.*?)\1\)$/) || [])[2];
+      const img = url && paint.images.get(url);
+      if (img) {
+        this._paintImageLayer(ctx, img, origin, area, {
+          size: sizes[i % sizes.length],
+          x: xs[i % xs.length],
+          y: ys[i % ys.length],
+          repeat: repeats[i % repeats.length]
+        });
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * One url() background layer with background-size, -position and -repeat
+   * @private
+   */
+  _paintImageLayer(ctx, img, origin, area, { size = 'auto', x: posX = '0%', y: posY = '0%', repeat = 'repeat' }) {
+    const iw = img.naturalWidth || img.width;
+    const ih = img.naturalHeight || img.height;
+    if (!iw || !ih) return;
+
+    let w = iw;
+    let h = ih;
+    if (size === 'cover' || size === 'contain') {
+      const k = (size === 'cover' ? Math.max : Math.min)(origin.width / iw, origin.height / ih);
+      w = iw * k;
+      h = ih * k;
+    } else {
+      const [sw, sh = 'auto'] = size.split(' ');
+      const len = (s, ref) => s === 'auto' ? null : s.endsWith('%') ? parseFloat(s) / 100 * ref : parseFloat(s);
+      const lw = len(sw, origin.width);
+      const lh = len(sh, origin.height);
+      if (lw !== null && lh !== null) { w = lw; h = lh; }
+      else if (lw !== null) { w = lw; h = ih * lw / iw; }
+      else if (lh !== null) { h = lh; w = iw * lh / ih; }
+    }
+    if (w < 1 || h < 1) return;
+
+    const offset = (p, free) => p.endsWith('%') ? parseFloat(p) / 100 * free : parseFloat(p) || 0;
+    const x = origin.x + offset(posX, origin.width - w);
+    const y = origin.y + offset(posY, origin.height - h);
+    const [rx, ry = rx] = repeat === 'repeat-x' ? ['repeat', 'no-repeat']
+      : repeat === 'repeat-y' ? ['no-repeat', 'repeat']
+      : repeat.split(' ');
+
+    if (rx === 'no-repeat' && ry === 'no-repeat') {
+      ctx.drawImage(img, x, y, w, h);
+      return;
+    }
+    // Tiling goes through a pattern of the image at its painted size
+    const tile = document.createElement('canvas');
+    tile.width = Math.round(w);
+    tile.height = Math.round(h);
+    tile.getContext('2d').drawImage(img, 0, 0, tile.width, tile.height);
+    const mode = rx !== 'no-repeat' && ry !== 'no-repeat' ? 'repeat' : rx !== 'no-repeat' ? 'repeat-x' : 'repeat-y';
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.fillStyle = ctx.createPattern(tile, mode);
+    ctx.fillRect(area.x - x, area.y - y, area.width, area.height);
+    ctx.restore();
+  }
+
+  /**
+   * linear-gradient() / radial-gradient() sized to box, filling area.
+   * Repeating gradients are painted as their first repetition.
+   * @private
+   */
+  _paintGradient(ctx, value, box, area) {
+    const match = value.match(/^(?:repeating-)?(linear|radial)-gradient\((.*)\)$/);
+    if (!match || !box.width || !box.height) return;
+    const [, kind, body] = match;
+    const args = this._splitTopLevel(body);
+    const config = kind === 'linear'
+      ? /^(to\s|-?[\d.]+(deg|rad|turn|grad)$)/.test(args[0])
+      : /^(circle|ellipse|closest-|farthest-|at\s|-?[\d.]+(px|%))/.test(args[0]);
+    const setup = config ? args.shift() : '';
+
+    ctx.save();
+    let gradient;
+    let length;
+    if (kind === 'linear') {
+      let dx = 0;
+      let dy = 1;
+      const angle = setup.match(/^(-?[\d.]+)(deg|rad|turn|grad)$/);
+      if (angle) {
+        const turns = { deg: 1 / 360, rad: 1 / (2 * Math.PI), turn: 1, grad: 1 / 400 }[angle[2]];
+        const theta = parseFloat(angle[1]) * turns * 2 * Math.PI;
+        dx = Math.sin(theta);
+        dy = -Math.cos(theta);
+      } else if (setup.startsWith('to ')) {
+        const sides = setup.slice(3).split(/\s+/);
+        const sx = sides.includes('right') ? 1 : sides.includes('left') ? -1 : 0;
+        const sy = sides.includes('bottom') ? 1 : sides.includes('top') ? -1 : 0;
+        // Towards a corner the gradient line is perpendicular to the other diagonal
+        dx = sy ? sx * box.height : sx;
+        dy = sx ? sy * box.width : sy;
+        const norm = Math.hypot(dx, dy);
+        dx /= norm;
+        dy /= norm;
+      }
+      length = Math.abs(box.width * dx) + Math.abs(box.height * dy);
+      const cx = box.x + box.width / 2;
+      const cy = box.y + box.height / 2;
+      gradient = ctx.createLinearGradient(
+        cx - dx * length / 2, cy - dy * length / 2,
+        cx + dx * length / 2, cy + dy * length / 2);
+      this._addColorStops(gradient, args, length);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(area.x, area.y, area.width, area.height);
+    } else {
+      const [shape = '', at = 'center'] = setup.split(/\s*\bat\s+/);
+      const [cx, cy] = this._parsePosition(at, box);
+      const near = [Math.min(cx - box.x, box.x + box.width - cx), Math.min(cy - box.y, box.y + box.height - cy)];
+      const far = [Math.max(cx - box.x, box.x + box.width - cx), Math.max(cy - box.y, box.y + box.height - cy)];
+      const circle = /\bcircle\b/.test(shape);
+      const lengths = (shape.match(/-?[\d.]+(px|%)/g) || [])
+        .map((s, i) => s.endsWith('%') ? parseFloat(s) / 100 * (i ? box.height : box.width) : parseFloat(s));
+      let rx;
+      let ry;
+      if (lengths.length) {
+        [rx, ry = rx] = lengths;
+      } else if (/closest-side/.test(shape)) {
+        [rx, ry] = circle ? Array(2).fill(Math.min(...near)) : near;
+      } else if (/farthest-side/.test(shape)) {
+        [rx, ry] = circle ? Array(2).fill(Math.max(...far)) : far;
+      } else if (/closest-corner/.test(shape)) {
+        [rx, ry] = circle ? Array(2).fill(Math.hypot(...near)) : near.map(v => v * Math.SQRT2);
+      } else {
+        [rx, ry] = circle ? Array(2).fill(Math.hypot(...far)) : far.map(v => v * Math.SQRT2);
+      }
+      if (!(rx > 0) || !(ry > 0)) {
+        ctx.restore();
+        return;
+      }
+      // Canvas radial gradients are circular; stretch one for ellipses
+      const k = ry / rx;
+      ctx.translate(cx, cy);
+      ctx.scale(1, k);
+      gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, rx);
+      this._addColorStops(gradient, args, rx);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(area.x - cx, (area.y - cy) / k, area.width, area.height / k);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Add CSS colour stops, filling in omitted positions as CSS does
+   * @private
+   * @param {number} length - Gradient line length, for px positions
+   */
+  _addColorStops(gradient, stops, length) {
+    const list = [];
+    for (const stop of stops) {
+      const [color, ...positions] = this._splitTopLevel(stop, ' ');
+      // Bare lengths are colour hints; they are skipped
+      if (/^-?[\d.]+(px|%)?$/.test(color)) continue;
+      const at = positions.map(p => p.endsWith('%') ? parseFloat(p) / 100 : parseFloat(p) / length);
+      if (!at.length) list.push({ color, at: null });
+      at.forEach(p => list.push({ color, at: p }));
+    }
+    if (!list.length) return;
+    if (list[0].at === null) list[0].at = 0;
+    if (list[list.length - 1].at === null) list[list.length - 1].at = 1;
+
+    let last = 0;
+    for (let i = 0; i < list.length; i++) {
+      if (list[i].at === null) {
+        // Spread runs of unpositioned stops evenly between their neighbours
+        let j = i;
+        while (list[j].at === null) j++;
+        const from = list[i - 1].at;
+        const step = (list[j].at - from) / (j - i + 1);
+        for (let k = i; k < j; k++) list[k].at = from + step * (k - i + 1);
+      }
+      // Stops never go backwards
+      list[i].at = Math.max(list[i].at, last);
+      last = list[i].at;
+      try {
+        gradient.addColorStop(Math.min(1, Math.max(0, list[i].at)), list[i].color);
+      } catch (e) {
+        // unparseable colour
+      }
+    }
+  }
+
+  /**
+   * CSS <position> ("50% 50%", "left top", "10px 20px") to a point in box
+   * @private
+   */
+  _parsePosition(value, box) {
+    const keywords = { left: '0%', center: '50%', right: '100%', top: '0%', bottom: '100%' };
+    let [x = 'center', y = 'center'] = value.trim().split(/\s+/);
+    if (x === 'top' || x === 'bottom' || y === 'left' || y === 'right') [x, y] = [y, x];
+    const len = (v, start, size) => {
+      v = keywords[v] || v;
+      return start + (v.endsWith('%') ? parseFloat(v) / 100 * size : parseFloat(v) || 0);
+    };
+    return [len(x, box.x, box.width), len(y, box.y, box.height)];
+  }
+
+  /**
+   * Per-side border colours and styles. Each side owns the trapezoid from
+   * its outer to its inner corners, clipped to the (rounded) border ring.
+   * @private
+   */
+  _paintBorders(ctx, style, box, radii) {
+    const widths = this._borderWidths(style);
+    const sides = ['top', 'right', 'bottom', 'left']
+      .map(side => {
+        const name = side[0].toUpperCase() + side.slice(1);
+        return {
+          side,
+          width: widths[side],
+          color: style[`border${name}Color`],
+          style: style[`border${name}Style`]
+        };
+      })
+      .filter(s => s.width > 0 && s.style !== 'none' && s.style !== 'hidden' && !this._isTransparent(s.color));
+    if (!sides.length) return;
+
+    const inner = this._insetBox(box, widths);
+    const innerRadii = this._insetRadii(radii, widths);
+    const { x, y, width: w, height: h } = box;
+    const { x: ix, y: iy, width: iw, height: ih } = inner;
+    const corners = {
+      top: [[x, y], [x + w, y], [ix + iw, iy], [ix, iy]],
+      right: [[x + w, y], [x + w, y + h], [ix + iw, iy + ih], [ix + iw, iy]],
+      bottom: [[x + w, y + h], [x, y + h], [ix, iy + ih], [ix + iw, iy + ih]],
+      left: [[x, y + h], [x, y], [ix, iy], [ix, iy + ih]]
+    };
+
+    ctx.save();
+    ctx.beginPath();
+    this._roundRectPath(ctx, box, radii);
+    this._roundRectPath(ctx, inner, innerRadii);
+    ctx.clip('evenodd');
+
+    for (const side of sides) {
+      ctx.save();
+      ctx.beginPath();
+      corners[side.side].forEach(([px, py], i) => i ? ctx.lineTo(px, py) : ctx.moveTo(px, py));
+      ctx.closePath();
+      ctx.clip();
+      ctx.fillStyle = side.color;
+      ctx.strokeStyle = side.color;
+
+      if (side.style === 'dashed' || side.style === 'dotted') {
+        const half = side.width / 2;
+        const line = {
+          top: [x, y + half, x + w, y + half],
+          right: [x + w - half, y, x + w - half, y + h],
+          bottom: [x + w, y + h - half, x, y + h - half],
+          left: [x + half, y + h, x + half, y]
+        }[side.side];
+        ctx.lineWidth = side.width;
+        if (side.style === 'dotted') {
+          ctx.lineCap = 'round';
+          ctx.setLineDash([0, side.width * 2]);
+        } else {
+          ctx.setLineDash([side.width * 3, side.width * 2]);
+        }
+        ctx.beginPath();
+        ctx.moveTo(line[0], line[1]);
+        ctx.lineTo(line[2], line[3]);
+        ctx.stroke();
+      } else if (side.style === 'double') {
+        // Outer and inner thirds of the ring
+        const third = k => ({ top: widths.top * k, right: widths.right * k, bottom: widths.bottom * k, left: widths.left * k });
+        ctx.beginPath();
+        this._roundRectPath(ctx, box, radii);
+        this._roundRectPath(ctx, this._insetBox(box, third(1 / 3)), this._insetRadii(radii, third(1 / 3)));
+        this._roundRectPath(ctx, this._insetBox(box, third(2 / 3)), this._insetRadii(radii, third(2 / 3)));
+        this._roundRectPath(ctx, inner, innerRadii);
+        ctx.fill('evenodd');
+      } else {
+        ctx.fillRect(x, y, w, h);
+      }
+      ctx.restore();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Replaced content, form controls and the element's own text
+   * @private
+   */
+  _paintContent(ctx, el, style, box, paint) {
+    const widths = this._borderWidths(style);
+    const padding = {
+      top: parseFloat(style.paddingTop) || 0,
+      right: parseFloat(style.paddingRight) || 0,
+      bottom: parseFloat(style.paddingBottom) || 0,
+      left: parseFloat(style.paddingLeft) || 0
+    };
+    const content = this._insetBox(this._insetBox(box, widths), padding);
+    const tag = el.tagName;
+
+    const source = paint.images.get(el) ||
+      (tag === 'IMG' && el.complete && el.naturalWidth && el) ||
+      (tag === 'CANVAS' && el) ||
+      (tag === 'VIDEO' && el.readyState >= 2 && el);
+    if (source) {
+      ctx.save();
+      ctx.beginPath();
+      this._roundRectPath(ctx, this._insetBox(box, widths), this._insetRadii(this._borderRadii(style, box), widths));
+      ctx.clip();
+      try {
+        this._drawReplaced(ctx, source, content, style);
+      } catch (e) {}
+      ctx.restore();
+      return;
+    }
+
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') {
+      this._paintFormControl(ctx, el, style, content);
+      return;
+    }
+
+    for (const node of el.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+        this._paintText(ctx, node, style, content, paint);
+      }
+    }
+  }
+
+  /**
+   * drawImage honouring object-fit and object-position
+   * @private
+   */
+  _drawReplaced(ctx, source, content, style) {
+    const iw = source.naturalWidth || source.videoWidth || source.width;
+    const ih = source.naturalHeight || source.videoHeight || source.height;
+    const fit = style.objectFit || 'fill';
+    let w = content.width;
+    let h = content.height;
+    if (fit !== 'fill' && iw && ih) {
+      let k = 1;
+      if (fit === 'contain') k = Math.min(w / iw, h / ih);
+      else if (fit === 'cover') k = Math.max(w / iw, h / ih);
+      else if (fit === 'scale-down') k = Math.min(1, w / iw, h / ih);
+      w = iw * k;
+      h = ih * k;
+    }
+    const [x, y] = this._parsePosition(style.objectPosition || '50% 50%', {
+      x: content.x,
+      y: content.y,
+      width: content.width - w,
+      height: content.height - h
+    });
+    ctx.drawImage(source, x, y, w, h);
+  }
+
+  /**
+   * @private
+   */
+  _font(style) {
+    return `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+  }
+
+  /**
+   * @private
+   */
+  _transformText(text, style) {
+    switch (style.textTransform) {
+      case 'uppercase': return text.toUpperCase();
+      case 'lowercase': return text.toLowerCase();
+      case 'capitalize': return text.replace(/(^|\s)(\S)/g, (m, s, c) => s + c.toUpperCase());
+      default: return text;
+    }
+  }
+
+  /**
+   * Paint a text node. Word positions come from the browser's own layout
+   * (Range rects), which gets wrapping, alignment and justification right;
+   * without Range geometry the text is wrapped to the content box instead.
+   * @private
+   */
+  _paintText(ctx, node, style, content, paint) {
+    ctx.save();
+    ctx.font = this._font(style);
+    ctx.fillStyle = style.color || '#000';
+    if ('letterSpacing' in ctx && style.letterSpacing && style.letterSpacing !== 'normal') {
+      ctx.letterSpacing = style.letterSpacing;
+    }
+    const shadow = this._parseShadows(style.textShadow)[0];
+    if (shadow) this._setShadow(ctx, shadow);
+
+    const words = this._layoutWords(node, paint);
+    if (words) {
+      ctx.textAlign = 'center';
+      for (const word of words) {
+        const text = this._transformText(word.text, style);
+        const metrics = ctx.measureText(text);
+        let y = word.cy;
+        if (metrics.fontBoundingBoxAscent) {
+          ctx.textBaseline = 'alphabetic';
+          y += (metrics.fontBoundingBoxAscent - metrics.fontBoundingBoxDescent) / 2;
+        } else {
+          ctx.textBaseline = 'middle';
+        }
+        ctx.fillText(text, word.cx, y);
+        this._paintDecorations(ctx, style, word.cx - metrics.width / 2, word.cy, metrics.width);
+      }
+    } else {
+      const lines = this._wrapLines(ctx, this._transformText(node.textContent, style), content.width, style.whiteSpace);
+      this._drawTextLines(ctx, lines, style, content);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Centre points of each word of a text node in layer coordinates, or
+   * null when the browser exposes no Range geometry
+   * @private
+   */
+  _layoutWords(node, paint) {
+    const range = document.createRange();
+    if (typeof range.getClientRects !== 'function') return null;
+    const words = [];
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(node.textContent))) {
+      range.setStart(node, match.index);
+      range.setEnd(node, match.index + match[0].length);
+      // A word broken across lines reports one rect per line; keep the first
+      const r = range.getClientRects()[0];
+      if (!r || !r.width) continue;
+      const [cx, cy] = this._unproject(paint.matrix, r.left + r.width / 2, r.top + r.height / 2);
+      words.push({ text: match[0], cx, cy });
+    }
+    return words;
+  }
+
+  /**
+   * Underline / overline / line-through for a run of text
+   * @private
+   */
+  _paintDecorations(ctx, style, x, cy, width) {
+    const lines = style.textDecorationLine || style.textDecoration || '';
+    if (!/underline|overline|line-through/.test(lines)) return;
+    const size = parseFloat(style.fontSize) || 16;
+    ctx.save();
+    ctx.shadowColor = 'transparent';
+    ctx.fillStyle = style.textDecorationColor || style.color;
+    const thickness = Math.max(1, size / 14);
+    if (lines.includes('underline')) ctx.fillRect(x, cy + size * 0.4, width, thickness);
+    if (lines.includes('overline')) ctx.fillRect(x, cy - size * 0.55, width, thickness);
+    if (lines.includes('line-through')) ctx.fillRect(x, cy, width, thickness);
+    ctx.restore();
+  }
+
+  /**
+   * Greedy word wrap honouring white-space
+   * @private
+   */
+  _wrapLines(ctx, text, maxWidth, whiteSpace = 'normal') {
+    const preserve = /^pre|break-spaces/.test(whiteSpace);
+    const wrap = whiteSpace !== 'nowrap' && whiteSpace !== 'pre';
+    const paragraphs = preserve ? text.split('\n') : [text.replace(/\s+/g, ' ').trim()];
+    const lines = [];
+    for (const paragraph of paragraphs) {
+      if (!wrap) {
+        lines.push(paragraph);
+        continue;
+      }
+      let line = '';
+      for (const word of paragraph.split(' ')) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Draw wrapped lines into a box with text-align and line-height
+   * @private
+   * @param {boolean} [center=false] - Centre the block vertically (inputs)
+   */
+  _drawTextLines(ctx, lines, style, box, center = false) {
+    const size = parseFloat(style.fontSize) || 16;
+    const lineHeight = parseFloat(style.lineHeight) || size * 1.2;
+    const align = { start: 'left', end: 'right', '-webkit-center': 'center' }[style.textAlign] || style.textAlign || 'left';
+    let y = box.y + (center ? (box.height - lines.length * lineHeight) / 2 : 0);
+
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+      const cy = y + lineHeight / 2;
+      const width = ctx.measureText(line).width;
+      if (align === 'justify' && i < lines.length - 1 && line.includes(' ')) {
+        // Stretch the gaps so the line fills the box
+        const words = line.split(' ');
+        const gap = (box.width - words.reduce((sum, w) => sum + ctx.measureText(w).width, 0)) / (words.length - 1);
+        let x = box.x;
+        ctx.textAlign = 'left';
+        for (const word of words) {
+          ctx.fillText(word, x, cy);
+          x += ctx.measureText(word).width + gap;
+        }
+        this._paintDecorations(ctx, style, box.x, cy, box.width);
+      } else {
+        const x = align === 'right' ? box.x + box.width - width
+          : align === 'center' ? box.x + (box.width - width) / 2
+          : box.x;
+        ctx.textAlign = 'left';
+        ctx.fillText(line, x, cy);
+        this._paintDecorations(ctx, style, x, cy, width);
+      }
+      y += lineHeight;
+    });
+  }
+
+  /**
+   * Text inputs, textareas, selects, checkboxes and radio buttons
+   * @private
+   */
+  _paintFormControl(ctx, el, style, content) {
+    const type = (el.type || '').toLowerCase();
+    ctx.save();
+
+    if (type === 'checkbox' || type === 'radio') {
+      const size = Math.min(content.width, content.height);
+      const x = content.x + (content.width - size) / 2;
+      const y = content.y + (content.height - size) / 2;
+      const accent = style.accentColor && style.accentColor !== 'auto' ? style.accentColor : '#0075ff';
+      ctx.beginPath();
+      if (type === 'radio') ctx.arc(x + size / 2, y + size / 2, size / 2 - 0.5, 0, Math.PI * 2);
+      else this._roundRectPath(ctx, { x: x + 0.5, y: y + 0.5, width: size - 1, height: size - 1 }, { tl: [2, 2], tr: [2, 2], br: [2, 2], bl: [2, 2] });
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = el.checked ? accent : '#767676';
+      ctx.fillStyle = el.checked && type === 'checkbox' ? accent : '#ffffff';
+      ctx.fill();
+      ctx.stroke();
+      if (el.checked && type === 'radio') {
+        ctx.beginPath();
+        ctx.arc(x + size / 2, y + size / 2, size / 4, 0, Math.PI * 2);
+        ctx.fillStyle = accent;
+        ctx.fill();
+      } else if (el.checked) {
+        ctx.beginPath();
+        ctx.moveTo(x + size * 0.22, y + size * 0.52);
+        ctx.lineTo(x + size * 0.42, y + size * 0.72);
+        ctx.lineTo(x + size * 0.78, y + size * 0.3);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = Math.max(1.5, size / 8);
+        ctx.stroke();
+      }
+      ctx.restore();
+      return;
+    }
+    if (['hidden', 'range', 'color', 'file', 'image'].includes(type)) {
+      ctx.restore();
+      return;
+    }
+
+    let text = el.tagName === 'SELECT'
+      ? (el.options[el.selectedIndex] || {}).text || ''
+      : el.value || '';
+    let color = style.color;
+    if (type === 'password') text = '•'.repeat(text.length);
+    if (!text && el.placeholder) {
+      text = el.placeholder;
+      color = window.getComputedStyle(el, '::placeholder').color || '#757575';
+    }
+
+    ctx.beginPath();
+    ctx.rect(content.x, content.y, content.width, content.height);
+    ctx.clip();
+    ctx.font = this._font(style);
+    ctx.fillStyle = color;
+    if (el.tagName === 'SELECT') {
+      // Leave room for the dropdown arrow
+      const arrow = Math.min(8, content.height / 2);
+      ctx.beginPath();
+      ctx.moveTo(content.x + content.width - arrow * 1.5, content.y + content.height / 2 - arrow / 4);
+      ctx.lineTo(content.x + content.width - arrow, content.y + content.height / 2 + arrow / 4);
+      ctx.lineTo(content.x + content.width - arrow / 2, content.y + content.height / 2 - arrow / 4);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+      content = { ...content, width: content.width - arrow * 2 };
+    }
+    if (text) {
+      const lines = el.tagName === 'TEXTAREA'
+        ? this._wrapLines(ctx, text, content.width, 'pre-wrap')
+        : [text];
+      this._drawTextLines(ctx, lines, style, content, el.tagName !== 'TEXTAREA');
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Get pixel color at viewport coordinates. Captures the viewport on every
+   * call; for many reads use PixelSnapshot (imgpixels.js).
+   */
+  async getPixelColor(x, y) {
+    const image = await this.captureViewport({ output: 'imageData', scale: 1 });
+    x = Math.floor(x);
+    y = Math.floor(y);
+    // Outside the viewport reads as transparent black, like getImageData()
+    const inside = x >= 0 && y >= 0 && x < image.width && y < image.height;
+    const i = (y * image.width + x) * 4;
+    const pixel = inside ? image.data.slice(i, i + 4) : [0, 0, 0, 0];
+    return {
+      r: pixel[0],
+      g: pixel[1],
+      b: pixel[2],
+      a: pixel[3] / 255,
+      hex: '#' + [pixel[0], pixel[1], pixel[2]]
+        .map(v => v.toString(16).padStart(2, '0'))
+        .join('')
+    };
+  }
+
+  /**
+   * Vector capture: the serialized page inside an SVG foreignObject.
+   * Scales without loss and keeps text selectable in SVG viewers. Redacted
+   * elements are always solid black boxes here ('blur' included).
+   * @param {Object} [opts]
+   * @param {boolean} [opts.fullPage=false] - Whole document instead of the viewport
+   * @param {string} [opts.output='string'] - 'string' | 'blob' | 'dataURL'
+   * @param {Object|false} [opts.redact] - See captureViewport()
+   */
+  async captureSVG(opts = {}) {
+    try {
+      const rect = opts.fullPage
+        ? { x: 0, y: 0, ...this._getDocumentSize() }
+        : { x: window.scrollX, y: window.scrollY, width: window.innerWidth, height: window.innerHeight };
+      const redact = opts.redact === false ? null : { ...this.options.redact, ...opts.redact };
+      const fixedAt = opts.fullPage ? { x: 0, y: 0 } : { x: rect.x, y: rect.y };
+      const svg = await this._buildSVG(rect, { redact, fixedAt });
+      const output = opts.output || 'string';
+      if (output === 'string') return svg;
+      if (output === 'blob') return new Blob([svg], { type: 'image/svg+xml;charset=utf-8' });
+      if (output === 'dataURL') return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+      throw new Error(`Unsupported output: ${output}`);
+    } catch (error) {
+      console.error('Capture failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Copy a screenshot to the clipboard (async Clipboard API, PNG only).
+   * Captures the viewport when no image is given.
+   * @param {string|Blob} [image] - Data URL or Blob
+   */
+  async copyToClipboard(image) {
+    if (!navigator.clipboard || !navigator.clipboard.write || typeof ClipboardItem === 'undefined') {
+      throw new Error('Clipboard API not available');
+    }
+    // ClipboardItem accepts a promise, which keeps the user activation alive
+    // while we capture/convert
+    const blob = (async () => {
+      const source = image || await this.captureViewport({ output: 'blob', format: 'png' });
+      const asBlob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+      if (asBlob.type === 'image/png') return asBlob;
+      const bitmap = await createImageBitmap(asBlob);
+      const canvas = document.createElement('canvas');
+      canvas.width = bitmap.width;
+      canvas.height = bitmap.height;
+      canvas.getContext('2d').drawImage(bitmap, 0, 0);
+      return this._canvasToBlob(canvas, 'image/png');
+    })();
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+  }
+
+  /**
+   * Download screenshot
+   * @param {string|Blob|ArrayBuffer} image - Data URL, Blob, ArrayBuffer or SVG string
+   * @param {string} [filename] - Defaults to screenshot.<extension of the image's type>
+   * @param {string} [format] - Format of an ArrayBuffer ('png' | 'jpeg' | 'webp');
+   *   read from its signature bytes when omitted
+   */
+  downloadImage(image, filename, format) {
+    let href = image;
+    let objectUrl = null;
+    if (typeof image === 'string' && image.trim().startsWith('<svg')) {
+      image = new Blob([image], { type: 'image/svg+xml;charset=utf-8' });
+    } else if (image instanceof ArrayBuffer) {
+      const type = MIME_TYPES[format] || this._sniffImageType(image) || MIME_TYPES[this.options.format] || 'image/png';
+      image = new Blob([image], { type });
+    }
+    if (image instanceof Blob) {
+      href = objectUrl = URL.createObjectURL(image);
+    }
+    const type = (image instanceof Blob ? image.type : (/^data:([^;,]+)/.exec(image) || [])[1] || '').split(';')[0];
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = filename || `screenshot.${EXTENSIONS[type] || 'png'}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // click() dispatches synchronously and the download has resolved the URL
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+  }
+
+  /**
+   * MIME type of encoded image bytes from their signature, or null
+   * @private
+   */
+  _sniffImageType(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(12, buffer.byteLength));
+    const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+    if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    return null;
+  }
+
+  /**
+   * Record the page as an animation by rendering frames repeatedly with the
+   * current renderer. GIF and APNG frames are encoded as they are captured,
+   * so only compressed data is kept; WebM is recorded live with MediaRecorder.
+   * Resolves when the recording ends (stopRecording(), duration or maxFrames).
+   * @param {Object} [opts]
+   * @param {number} [opts.fps=5] - Target frame rate; slow renderers yield fewer frames,
+   *   but frame timing always follows real capture times
+   * @param {number} [opts.duration=0] - Stop after this many ms (0 = until stopRecording())
+   * @param {number} [opts.maxFrames=100] - Stop after this many frames
+   * @param {string} [opts.format='gif'] - 'gif' | 'apng' | 'webm' | 'frames' (raw ImageData)
+   * @param {number} [opts.scale=1] - Output pixels per CSS pixel
+   * @param {Object} [opts.region] - Document rectangle to record (defaults to the viewport)
+   * @param {function(Object)} [opts.onProgress] - Called with { phase, frames, maxFrames, elapsed, progress }
+   * @param {Object|false} [opts.redact] - See captureViewport()
+   * @param {Object[]} [opts.annotations] - See captureViewport()
+   * @returns {Promise<{blob: Blob, format: string, frameCount: number, duration: number,
+   *   width: number, height: number, frames: (Object[]|undefined)}>}
+   */
+  startRecording(opts = {}) {
+    if (this._recording) {
+      return Promise.reject(new Error('A recording is already running'));
+    }
+    const format = opts.format || 'gif';
+    if (!['gif', 'apng', 'webm', 'frames'].includes(format)) {
+      return Promise.reject(new Error(`Unsupported recording format: ${format}`));
+    }
+    if (format === 'webm' && (typeof MediaRecorder === 'undefined' ||
+        !HTMLCanvasElement.prototype.captureStream)) {
+      return Promise.reject(new Error('WebM recording needs MediaRecorder and canvas.captureStream()'));
+    }
+
+    const recording = { stopped: false, wake: null };
+    this._recording = recording;
+    recording.done = this._record(recording, { ...opts, format })
+      .finally(() => { this._recording = null; });
+    return recording.done;
+  }
+
+  /**
+   * Stop the running recording
+   * @returns {Promise<Object>} The startRecording() result
+   */
+  stopRecording() {
+    const recording = this._recording;
+    if (!recording) return Promise.reject(new Error('No recording is running'));
+    recording.stopped = true;
+    if (recording.wake) recording.wake();
+    return recording.done;
+  }
+
+  /**
+   * @private
+   */
+  async _record(recording, opts) {
+    await this.ready();
+    const { format } = opts;
+    const fps = Math.min(Math.max(opts.fps || 5, 0.1), 60);
+    const maxFrames = opts.maxFrames || 100;
+    const duration = opts.duration || 0;
+    const scale = opts.scale || 1;
+    const rect = opts.region
+      ? { x: opts.region.x, y: opts.region.y, width: opts.region.width, height: opts.region.height }
+      : { x: window.scrollX, y: window.scrollY, width: window.innerWidth, height: window.innerHeight };
+    const width = Math.round(rect.width * scale);
+    const height = Math.round(rect.height * scale);
+    if (!width || !height || width * height > MAX_CANVAS_AREA) {
+      throw new RangeError(`Cannot record a ${width}x${height} area`);
+    }
+
+    // Every frame is normalized onto this canvas, which also feeds MediaRecorder
+    const screen = document.createElement('canvas');
+    screen.width = width;
+    screen.height = height;
+    const screenCtx = screen.getContext('2d');
+
+    let stream = null;
+    let recorder = null;
+    let track = null;
+    const chunks = [];
+    try {
+      if (format === 'webm') {
+        stream = screen.captureStream(0);
+        track = stream.getVideoTracks()[0];
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+          .find(type => MediaRecorder.isTypeSupported(type));
+        recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+        // An encoder error ends the recording loop and rejects below
+        recorder.onerror = e => {
+          recording.error = e.error || new Error('MediaRecorder failed');
+          recording.stopped = true;
+          if (recording.wake) recording.wake();
+        };
+        recorder.start();
+      }
+
+      const frames = [];
+      const now = () => performance.now();
+      const interval = 1000 / fps;
+      const start = now();
+      let next = start;
+
+      while (!recording.stopped) {
+        const canvas = await this._renderRegion(rect, { scale });
+        this._postProcess(canvas, rect, rect, opts);
+        const time = now();
+        screenCtx.clearRect(0, 0, width, height);
+        screenCtx.drawImage(canvas, 0, 0, width, height);
+
+        if (format === 'webm') {
+          if (track.requestFrame) track.requestFrame();
+          frames.push({ time });
+        } else {
+          const imageData = screenCtx.getImageData(0, 0, width, height);
+          const frame = { time };
+          if (format === 'gif') Object.assign(frame, this._gifFrame(imageData));
+          else if (format === 'apng') frame.data = await this._apngFrame(imageData);
+          else frame.imageData = imageData;
+          frames.push(frame);
+        }
+
+        const elapsed = now() - start;
+        if (opts.onProgress) {
+          opts.onProgress({
+            phase: 'recording',
+            frames: frames.length,
+            maxFrames,
+            elapsed,
+            progress: Math.min(1, Math.max(frames.length / maxFrames, duration ? elapsed / duration : 0))
+          });
+        }
+        if (frames.length >= maxFrames || (duration && elapsed >= duration)) break;
+
+        // Wait for the next frame slot; a slow renderer skips slots instead of catching up
+        next = Math.max(next + interval, now());
+        await new Promise(resolve => {
+          recording.wake = resolve;
+          setTimeout(resolve, next - now());
+        });
+        recording.wake = null;
+      }
+
+      if (recording.error) throw recording.error;
+
+      // Each frame lasts until the next one was captured; the last one for at
+      // least one frame interval
+      const end = now();
+      frames.forEach((frame, i) => {
+        const until = i + 1 < frames.length ? frames[i + 1].time : Math.max(end, frame.time + interval);
+        frame.delay = Math.max(1, Math.round(until - frame.time));
+      });
+      if (opts.onProgress) {
+        opts.onProgress({ phase: 'encoding', frames: frames.length, maxFrames, elapsed: end - start, progress: 1 });
+      }
+
+      const result = { format, frameCount: frames.length, duration: end - start, width, height };
+      if (format === 'webm') {
+        await new Promise(resolve => {
+          recorder.onstop = resolve;
+          recorder.stop();
+        });
+        stream.getTracks().forEach(t => t.stop());
+        result.blob = new Blob(chunks, { type: recorder.mimeType || 'video/webm' });
+      } else if (format === 'gif') {
+        result.blob = this._buildGif(width, height, frames);
+      } else if (format === 'apng') {
+        result.blob = this._buildApng(width, height, frames);
+      } else {
+        result.frames = frames.map(({ imageData, delay }) => ({ imageData, delay }));
+      }
+      if (opts.onProgress) {
+        opts.onProgress({ phase: 'done', frames: frames.length, maxFrames, elapsed: end - start, progress: 1 });
+      }
+      return result;
+    } catch (error) {
+      // A failed frame or encoder must not leave the recorder and its stream running
+      if (recorder && recorder.state !== 'inactive') recorder.stop();
+      if (stream) stream.getTracks().forEach(t => t.stop());
+      throw error;
+    }
+  }
+
+  /**
+   * Quantize a frame to 256 colours (median cut over a 15-bit histogram,
+   * alpha flattened onto white) and LZW-compress it
+   * @private
+   * @returns {{palette: Uint8Array, lzw: Uint8Array}}
+   */
+  _gifFrame({ width, height, data }) {
+    const pixelCount = width * height;
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    const keys = new Uint16Array(pixelCount);
+    for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+      const a = data[i + 3] / 255;
+      const r = 255 + (data[i] - 255) * a;
+      const g = 255 + (data[i + 1] - 255) * a;
+      const b = 255 + (data[i + 2] - 255) * a;
+      const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+      keys[p] = key;
+      counts[key]++;
+      sums[key * 3] += r;
+      sums[key * 3 + 1] += g;
+      sums[key * 3 + 2] += b;
+    }
+
+    // Every used histogram bin is one colour (its mean), weighted by count
+    const colors = [];
+    for (let key = 0; key < 32768; key++) {
+      if (!counts[key]) continue;
+      const n = counts[key];
+      colors.push({ key, n, rgb: [sums[key * 3] / n, sums[key * 3 + 1] / n, sums[key * 3 + 2] / n] });
+    }
+
+    // Median cut: split the box with the widest channel range at its
+    // weighted median until there are 256 boxes (a no-op for <= 256 colours)
+    const makeBox = (list) => {
+      let widest = 0;
+      let channel = 0;
+      for (let c = 0; c < 3; c++) {
+        let min = 255;
+        let max = 0;
+        for (const color of list) {
+          if (color.rgb[c] < min) min = color.rgb[c];
+          if (color.rgb[c] > max) max = color.rgb[c];
+        }
+        if (max - min > widest) {
+          widest = max - min;
+          channel = c;
+        }
+      }
+      return { colors: list, widest, channel };
+    };
+    const boxes = [makeBox(colors)];
+    while (boxes.length < 256) {
+      let pick = -1;
+      boxes.forEach((box, n) => {
+        if (box.colors.length > 1 && box.widest > 0 && (pick < 0 || box.widest > boxes[pick].widest)) pick = n;
+      });
+      if (pick < 0) break;
+      const { colors: list, channel } = boxes[pick];
+      list.sort((a, b) => a.rgb[channel] - b.rgb[channel]);
+      const half = list.reduce((sum, color) => sum + color.n, 0) / 2;
+      let split = 1;
+      for (let acc = list[0].n; split < list.length - 1 && acc < half; split++) acc += list[split].n;
+      boxes.splice(pick, 1, makeBox(list.slice(0, split)), makeBox(list.slice(split)));
+    }
+
+    const palette = new Uint8Array(768);
+    const index = new Uint8Array(32768);
+    boxes.forEach(({ colors: list }, n) => {
+      const total = list.reduce((sum, color) => sum + color.n, 0);
+      for (let c = 0; c < 3; c++) {
+        palette[n * 3 + c] = Math.round(list.reduce((sum, color) => sum + color.rgb[c] * color.n, 0) / total);
+      }
+      for (const color of list) index[color.key] = n;
+    });
+
+    const pixels = new Uint8Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) pixels[p] = index[keys[p]];
+    return { palette, lzw: this._lzw(pixels, 8) };
+  }
+
+  /**
+   * GIF variant of LZW with variable code sizes up to 12 bits
+   * @private
+   */
+  _lzw(pixels, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    const out = [];
+    let buffer = 0;
+    let bits = 0;
+    const emit = (code) => {
+      buffer |= code << bits;
+      bits += codeSize;
+      while (bits >= 8) {
+        out.push(buffer & 255);
+        buffer >>>= 8;
+        bits -= 8;
+      }
+    };
+
+    emit(clearCode);
+    let prefix = pixels[0];
+    for (let i = 1; i < pixels.length; i++) {
+      const k = pixels[i];
+      const key = (prefix << 8) | k;
+      const code = table.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+      emit(prefix);
+      if (nextCode === 4096) {
+        emit(clearCode);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        table.set(key, nextCode++);
+      }
+      prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bits > 0) out.push(buffer & 255);
+    return Uint8Array.from(out);
+  }
+
+  /**
+   * Assemble an endlessly looping GIF89a from encoded frames
+   * @private
+   */
+  _buildGif(width, height, frames) {
+    const u16 = v => [v & 255, (v >> 8) & 255];
+    const ascii = s => Array.from(s, c => c.charCodeAt(0));
+    const parts = [
+      new Uint8Array([
+        ...ascii('GIF89a'), ...u16(width), ...u16(height), 0x70, 0, 0,
+        // NETSCAPE2.0 application extension: loop forever
+        0x21, 0xff, 0x0b, ...ascii('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0
+      ])
+    ];
+    for (const frame of frames) {
+      // Delays are in hundredths of a second; browsers treat < 2 as 10
+      const delay = Math.max(2, Math.round(frame.delay / 10));
+      parts.push(new Uint8Array([
+        0x21, 0xf9, 0x04, 0x04, ...u16(delay), 0, 0,
+        0x2c, 0, 0, 0, 0, ...u16(width), ...u16(height), 0x87
+      ]));
+      parts.push(frame.palette);
+      // LZW data goes out in sub-blocks of at most 255 bytes
+      const blocks = new Uint8Array(frame.lzw.length + Math.ceil(frame.lzw.length / 255) + 2);
+      blocks[0] = 8;
+      let o = 1;
+      for (let i = 0; i < frame.lzw.length; i += 255) {
+        const chunk = frame.lzw.subarray(i, i + 255);
+        blocks[o++] = chunk.length;
+        blocks.set(chunk, o);
+        o += chunk.length;
+      }
+      blocks[o] = 0;
+      parts.push(blocks);
+    }
+    parts.push(new Uint8Array([0x3b]));
+    return new Blob(parts, { type: 'image/gif' });
+  }
+
+  /**
+   * Filter (Up) and deflate one RGBA frame for APNG
+   * @private
+   */
+  async _apngFrame({ width, height, data }) {
+    const stride = width * 4;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+      const row = y * (stride + 1);
+      raw[row] = 2;
+      for (let x = 0; x < stride; x++) {
+        const i = y * stride + x;
+        raw[row + 1 + x] = data[i] - (y ? data[i - stride] : 0);
+      }
+    }
+    return this._deflate(raw);
+  }
+
+  /**
+   * zlib-wrapped deflate: CompressionStream where available, stored
+   * (uncompressed) blocks otherwise
+   * @private
+   */
+  async _deflate(bytes) {
+    if (typeof CompressionStream !== 'undefined') {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    const blocks = Math.max(1, Math.ceil(bytes.length / 65535));
+    const out = new Uint8Array(2 + blocks * 5 + bytes.length + 4);
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let o = 2;
+    for (let n = 0; n < blocks; n++) {
+      const chunk = bytes.subarray(n * 65535, (n + 1) * 65535);
+      out[o++] = n === blocks - 1 ? 1 : 0;
+      out[o++] = chunk.length & 255;
+      out[o++] = chunk.length >> 8;
+      out[o++] = ~chunk.length & 255;
+      out[o++] = (~chunk.length >> 8) & 255;
+      out.set(chunk, o);
+      o += chunk.length;
+    }
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      a = (a + bytes[i]) % 65521;
+      b = (b + a) % 65521;
+    }
+    new DataView(out.buffer).setUint32(o, ((b << 16) | a) >>> 0);
+    return out;
+  }
+
+  /**
+   * Assemble an endlessly looping APNG from deflated frames
+   * @private
+   */
+  _buildApng(width, height, frames) {
+    const chunk = (type, data) => {
+      const out = new Uint8Array(12 + data.length);
+      const view = new DataView(out.buffer);
+      view.setUint32(0, data.length);
+      for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+      out.set(data, 8);
+      view.setUint32(8 + data.length, this._crc32(out.subarray(4, 8 + data.length)));
+      return out;
+    };
+    const fields = (...values) => {
+      // [value, byteLength] pairs, big-endian
+      const out = new Uint8Array(values.reduce((n, [, size]) => n + size, 0));
+      const view = new DataView(out.buffer);
+      let o = 0;
+      for (const [value, size] of values) {
+        if (size === 4) view.setUint32(o, value);
+        else if (size === 2) view.setUint16(o, value);
+        else view.setUint8(o, value);
+        o += size;
+      }
+      return out;
+    };
+
+    const parts = [
+      new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk('IHDR', fields([width, 4], [height, 4], [8, 1], [6, 1], [0, 1], [0, 1], [0, 1])),
+      chunk('acTL', fields([frames.length, 4], [0, 4]))
+    ];
+    let sequence = 0;
+    frames.forEach((frame, i) => {
+      parts.push(chunk('fcTL', fields(
+        [sequence++, 4], [width, 4], [height, 4], [0, 4], [0, 4],
+        [Math.min(65535, frame.delay), 2], [1000, 2], [0, 1], [0, 1])));
+      if (i === 0) {
+        parts.push(chunk('IDAT', frame.data));
+      } else {
+        const data = new Uint8Array(4 + frame.data.length);
+        new DataView(data.buffer).setUint32(0, sequence++);
+        data.set(frame.data, 4);
+        parts.push(chunk('fdAT', data));
+      }
+    });
+    parts.push(chunk('IEND', new Uint8Array(0)));
+    return new Blob(parts, { type: 'image/apng' });
+  }
+
+  /**
+   * @private
+   */
+  _crc32(bytes) {
+    if (!this._crcTable) {
+      this._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        this._crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = this._crcTable[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
 }
 
 // Export
@@ -1,21 +1,234 @@
 (function() {
-  function initCustomCursor() {
-    // --- Inject HTML ---
-    const cursor = document.createElement("div");
-    cursor.className = "cursor";
-    cursor.setAttribute("aria-hidden", "true");
+  // Captured now: document.currentScript is only set while this file runs.
+  const currentScript = document.currentScript;
 
-    const follower = document.createElement("div");
-    follower.className = "cursor-follower";
-    follower.setAttribute("aria-hidden", "true");
+  const DEFAULTS = {
+    dotSize: 10,
+    dotGrowSize: 28,
+    dotColor: "#ffffff",
+    followerSize: 30,
+    followerBorderWidth: 2,
+    followerColor: "#ffffff",
+    followerOpacity: 0.55,
+    blendMode: "difference",
+    easing: 0.12,
+    zIndex: 9999,
+    hoverSelector: "a, button, .btn",
+    hideNativeCursor: true,
+    // Comma-separated names (data-effects="trail,ripple") or, from JS, an array
+    // of names / { name, ...settings } objects. See EFFECTS below.
+    effects: "",
+    // Fall back to the native cursor on touch-only devices and in forced-colors
+    // mode, and drop the easing/transitions under prefers-reduced-motion.
+    requireFinePointer: true,
+    respectForcedColors: true,
+    respectReducedMotion: true
+  };
 
-    document.body.appendChild(cursor);
-    document.body.appendChild(follower);
+  // Named cursor states, picked with data-cursor="<name>" on a hovered element
+  // (data-cursor-label="…" overrides the label). Unset keys fall back to the
+  // base options. "hover" is used for hoverSelector matches without a hint.
+  const STATES = {
+    hover: { grow: true, hideFollower: true },
+    link: { grow: true, hideFollower: true },
+    text: { dotWidth: 2, dotHeight: 22, dotRadius: 1, hideFollower: true },
+    drag: { hideDot: true, followerSize: 56, label: "drag" },
+    disabled: { dotColor: "#888888", followerColor: "#888888", followerBorderStyle: "dashed", followerOpacity: 0.35 },
+    loading: { followerOpacity: 0.9, spin: true },
+    view: { hideDot: true, followerSize: 80, followerFill: "#ffffff", followerOpacity: 1, label: "view" },
+    play: { hideDot: true, followerSize: 80, followerFill: "#ffffff", followerOpacity: 1, label: "\u25B6 play" }
+  };
 
-    // --- Inject CSS ---
-    const style = document.createElement("style");
-    style.textContent = `
-      * { cursor: none; }
+  // Effect factories: (settings, host) => { move?(frame), draw?(ctx, frame),
+  // mousedown?(e), destroy?() }. move() runs before the cursor is positioned
+  // and may adjust frame.x/y; draw() paints on the shared overlay canvas and
+  // returns true while it still needs frames. draw() may also append to
+  // frame.followerTransform.
+  const EFFECTS = {
+    trail(settings, host) {
+      const s = Object.assign({ length: 24, life: 450, size: 6, color: host.options.followerColor }, settings);
+      const points = [];
+      return {
+        draw(ctx, frame) {
+          if (frame.moved) points.push({ x: frame.x, y: frame.y, t: frame.now });
+          while (points.length > s.length || (points.length && frame.now - points[0].t > s.life)) points.shift();
+          ctx.fillStyle = s.color;
+          points.forEach((p, i) => {
+            const k = (i + 1) / points.length * (1 - (frame.now - p.t) / s.life);
+            ctx.globalAlpha = Math.max(0, k) * 0.6;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, Math.max(0.5, s.size * k), 0, Math.PI * 2);
+            ctx.fill();
+          });
+          ctx.globalAlpha = 1;
+          return points.length > 0;
+        }
+      };
+    },
+
+    ripple(settings, host) {
+      const s = Object.assign({ radius: 40, duration: 500, lineWidth: 2, color: host.options.followerColor }, settings);
+      const ripples = [];
+      return {
+        mousedown(e) {
+          ripples.push({ x: e.clientX, y: e.clientY, t: performance.now() });
+          host.requestFrame();
+        },
+        draw(ctx, frame) {
+          while (ripples.length && frame.now - ripples[0].t > s.duration) ripples.shift();
+          ctx.strokeStyle = s.color;
+          ctx.lineWidth = s.lineWidth;
+          ripples.forEach(r => {
+            const k = Math.max(0, (frame.now - r.t) / s.duration);
+            ctx.globalAlpha = 1 - k;
+            ctx.beginPath();
+            ctx.arc(r.x, r.y, s.radius * k, 0, Math.PI * 2);
+            ctx.stroke();
+          });
+          ctx.globalAlpha = 1;
+          return ripples.length > 0;
+        }
+      };
+    },
+
+    // Pulls the cursor towards [data-magnetic] elements within `distance`
+    // and nudges the element towards the cursor. Element positions are
+    // measured once and re-measured after scrolling, resizing or DOM changes.
+    magnetic(settings) {
+      const s = Object.assign({ selector: "[data-magnetic], .magnetic", distance: 60, strength: 0.35, elementStrength: 0.2 }, settings);
+      const shifted = new Map();
+      let targets = null;
+      const invalidate = () => { targets = null; };
+      const observer = window.MutationObserver ? new MutationObserver(invalidate) : null;
+      if (observer) {
+        // Not "style": the nudge itself is written there every frame.
+        observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ["class", "data-magnetic"] });
+      }
+      window.addEventListener("scroll", invalidate, { capture: true, passive: true });
+      window.addEventListener("resize", invalidate);
+
+      // Resting centre and half size of every magnetic element.
+      function measure() {
+        return Array.from(document.querySelectorAll(s.selector), el => {
+          const r = el.getBoundingClientRect();
+          const st = shifted.get(el);
+          return {
+            el,
+            cx: r.left + r.width / 2 - (st ? st.x : 0),
+            cy: r.top + r.height / 2 - (st ? st.y : 0),
+            hw: r.width / 2,
+            hh: r.height / 2
+          };
+        });
+      }
+
+      // Eases el's offset towards (dx, dy); true while it is still moving.
+      function shift(el, dx, dy) {
+        if (!shifted.has(el)) shifted.set(el, { base: el.style.transform, x: 0, y: 0 });
+        const st = shifted.get(el);
+        st.x += (dx - st.x) * 0.2;
+        st.y += (dy - st.y) * 0.2;
+        if (Math.abs(st.x) < 0.1 && Math.abs(st.y) < 0.1 && !dx && !dy) {
+          el.style.transform = st.base;
+          shifted.delete(el);
+          return false;
+        }
+        el.style.transform = (st.base ? st.base + " " : "") + "translate(" + st.x + "px, " + st.y + "px)";
+        return Math.abs(dx - st.x) >= 0.1 || Math.abs(dy - st.y) >= 0.1;
+      }
+      return {
+        move(frame) {
+          if (!targets) targets = measure();
+          const near = new Set();
+          let moving = false;
+          targets.forEach(t => {
+            const dx = frame.x - t.cx, dy = frame.y - t.cy;
+            if (Math.abs(dx) > t.hw + s.distance || Math.abs(dy) > t.hh + s.distance) return;
+            near.add(t.el);
+            frame.x -= dx * s.strength;
+            frame.y -= dy * s.strength;
+            if (shift(t.el, dx * s.elementStrength, dy * s.elementStrength)) moving = true;
+          });
+          shifted.forEach((_, el) => { if (!near.has(el) && shift(el, 0, 0)) moving = true; });
+          frame.busy = frame.busy || moving;
+        },
+        destroy() {
+          if (observer) observer.disconnect();
+          window.removeEventListener("scroll", invalidate, { capture: true });
+          window.removeEventListener("resize", invalidate);
+          shifted.forEach((st, el) => { el.style.transform = st.base; });
+          shifted.clear();
+        }
+      };
+    },
+
+    // Squash/stretch of the follower along its direction of travel.
+    stretch(settings) {
+      const s = Object.assign({ factor: 0.004, max: 0.45 }, settings);
+      return {
+        draw(ctx, frame) {
+          const speed = Math.hypot(frame.vx, frame.vy);
+          if (speed < 0.5) return false;
+          const k = Math.min(s.max, speed * s.factor);
+          const angle = Math.atan2(frame.vy, frame.vx) * 180 / Math.PI;
+          frame.followerTransform += " rotate(" + angle + "deg) scale(" + (1 + k) + ", " + (1 - k) + ") rotate(" + (-angle) + "deg)";
+          return false;
+        }
+      };
+    }
+  };
+
+  let options = null;
+  let cursor = null, follower = null, style = null;
+  let rafId = null;
+  let label = null;
+  let hoverEl = null, hoverState = null, observer = null, hoverCheckQueued = false;
+  let hasPointer = false, nativePointer = false;
+  let mediaQueries = [];
+  let activeEffects = [], overlay = null, overlayCtx = null;
+  let lastFrame = 0, moved = false;
+  let mouseX = 0, mouseY = 0;
+  let fx = 0, fy = 0;
+
+  // --- Options ---
+  // Reads data-* attributes from the <script> tag, e.g. data-dot-color="#f00".
+  // Values are coerced to the type of the matching default.
+  function readScriptOptions(script) {
+    const out = {};
+    if (!script) return out;
+    Object.keys(DEFAULTS).forEach(key => {
+      const raw = script.dataset[key];
+      if (raw === undefined) return;
+      const type = typeof DEFAULTS[key];
+      if (type === "number") {
+        const n = parseFloat(raw);
+        if (!isNaN(n)) out[key] = n;
+      } else if (type === "boolean") {
+        out[key] = raw !== "false" && raw !== "0";
+      } else {
+        out[key] = raw;
+      }
+    });
+    return out;
+  }
+
+  function buildCss(o) {
+    return `
+      ${o.hideNativeCursor ? "html.oli-cursor-active * { cursor: none; }" : ""}
+      html:not(.oli-cursor-active) .cursor,
+      html:not(.oli-cursor-active) .cursor-follower {
+        display: none !important;
+      }
+      html.oli-cursor-out .cursor,
+      html.oli-cursor-out .cursor-follower {
+        opacity: 0 !important;
+      }
+      html.oli-cursor-reduced .cursor,
+      html.oli-cursor-reduced .cursor-follower,
+      html.oli-cursor-reduced .cursor-follower::after {
+        transition: none !important;
+        animation: none !important;
+      }
       .cursor, .cursor-follower {
         position: fixed;
         top: 0;
@@ -23,67 +236,463 @@
         pointer-events: none;
         transform: translate(-50%, -50%);
         border-radius: 999px;
-        z-index: 9999;
+        z-index: ${o.zIndex};
         will-change: transform;
       }
+      .cursor-overlay {
+        position: fixed;
+        inset: 0;
+        width: 100%;
+        height: 100%;
+        pointer-events: none;
+        z-index: ${o.zIndex - 1};
+      }
+      html:not(.oli-cursor-active) .cursor-overlay {
+        display: none;
+      }
       .cursor {
-        width: 10px;
-        height: 10px;
-        background: #ffffff;
-        mix-blend-mode: difference;
-        transition: width .18s, height .18s;
+        width: ${o.dotSize}px;
+        height: ${o.dotSize}px;
+        background: ${o.dotColor};
+        mix-blend-mode: ${o.blendMode};
+        transition: width .18s, height .18s, opacity .18s, border-radius .18s;
       }
       .cursor-follower {
-        width: 30px;
-        height: 30px;
-        border: 2px solid #ffffff;
-        opacity: .55;
-        transition: opacity .25s;
+        width: ${o.followerSize}px;
+        height: ${o.followerSize}px;
+        border: ${o.followerBorderWidth}px solid ${o.followerColor};
+        opacity: ${o.followerOpacity};
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        box-sizing: border-box;
+        transition: opacity .25s, width .18s, height .18s, background-color .18s;
+      }
+      .cursor-label {
+        font: 600 11px/1 system-ui, sans-serif;
+        letter-spacing: .05em;
+        text-transform: uppercase;
+        white-space: nowrap;
+        color: #000000;
       }
-      .cursor.grow {
-        width: 28px;
-        height: 28px;
+      .cursor-label:empty {
+        display: none;
       }
-      .cursor-follower.hide {
-        opacity: 0;
+      .cursor-follower.cursor--spin::after {
+        content: "";
+        position: absolute;
+        inset: -${o.followerBorderWidth}px;
+        border-radius: inherit;
+        border: ${o.followerBorderWidth}px solid transparent;
+        border-top-color: ${o.followerColor};
+        animation: cursor-spin .8s linear infinite;
       }
+      @keyframes cursor-spin {
+        to { transform: rotate(360deg); }
+      }
+      ${Object.keys(STATES).map(name => buildStateCss(name, STATES[name], o)).join("\n")}
     `;
-    document.head.appendChild(style);
+  }
+
+  function buildStateCss(name, st, o) {
+    const dot = [], fol = [];
+    const dotSize = st.grow ? o.dotGrowSize : st.dotSize;
+    if (dotSize != null || st.dotWidth != null) dot.push(`width: ${st.dotWidth != null ? st.dotWidth : dotSize}px;`);
+    if (dotSize != null || st.dotHeight != null) dot.push(`height: ${st.dotHeight != null ? st.dotHeight : dotSize}px;`);
+    if (st.dotRadius != null) dot.push(`border-radius: ${st.dotRadius}px;`);
+    if (st.dotColor) dot.push(`background: ${st.dotColor};`);
+    if (st.hideDot) dot.push("opacity: 0;");
+    if (st.followerSize != null) fol.push(`width: ${st.followerSize}px;`, `height: ${st.followerSize}px;`);
+    if (st.followerColor) fol.push(`border-color: ${st.followerColor};`);
+    if (st.followerBorderStyle) fol.push(`border-style: ${st.followerBorderStyle};`);
+    if (st.followerFill) fol.push(`background: ${st.followerFill};`);
+    if (st.followerOpacity != null) fol.push(`opacity: ${st.followerOpacity};`);
+    if (st.hideFollower) fol.push("opacity: 0;");
+    return `
+      .cursor.cursor--${name} { ${dot.join(" ")} }
+      .cursor-follower.cursor--${name} { ${fol.join(" ")} }
+    `;
+  }
+
+  // --- Environment ---
+  function mediaMatches(query) {
+    return !!(window.matchMedia && window.matchMedia(query).matches);
+  }
+
+  function prefersNative() {
+    if (nativePointer) return true;
+    if (options.requireFinePointer && window.matchMedia && !mediaMatches("(any-pointer: fine)")) return true;
+    return options.respectForcedColors && mediaMatches("(forced-colors: active)");
+  }
+
+  function reducedMotion() {
+    return options.respectReducedMotion && mediaMatches("(prefers-reduced-motion: reduce)");
+  }
+
+  // Applies the current device/preference state to the root element and
+  // starts or stops the animation loop accordingly.
+  function refreshEnvironment() {
+    if (!cursor) return;
+    const root = document.documentElement;
+    root.classList.toggle("oli-cursor-active", !prefersNative());
+    root.classList.toggle("oli-cursor-reduced", reducedMotion());
+    root.classList.toggle("oli-cursor-out", !hasPointer);
+    if (isActive()) startLoop();
+    else stopLoop();
+  }
+
+  function isActive() {
+    return !!cursor && document.documentElement.classList.contains("oli-cursor-active");
+  }
+
+  // Effects are dropped entirely under reduced motion, so rebuild them too.
+  function onMediaChange() {
+    setupEffects();
+    refreshEnvironment();
+  }
 
-    // --- JS Logic ---
-    let mouseX = 0, mouseY = 0;
-    let fx = 0, fy = 0;
+  function watchMediaQueries() {
+    unwatchMediaQueries();
+    if (!window.matchMedia) return;
+    mediaQueries = ["(any-pointer: fine)", "(forced-colors: active)", "(prefers-reduced-motion: reduce)"]
+      .map(q => window.matchMedia(q));
+    mediaQueries.forEach(mq => {
+      if (mq.addEventListener) mq.addEventListener("change", onMediaChange);
+      else if (mq.addListener) mq.addListener(onMediaChange);
+    });
+  }
 
-    document.addEventListener("mousemove", (e) => {
-      mouseX = e.clientX;
-      mouseY = e.clientY;
+  function unwatchMediaQueries() {
+    mediaQueries.forEach(mq => {
+      if (mq.removeEventListener) mq.removeEventListener("change", onMediaChange);
+      else if (mq.removeListener) mq.removeListener(onMediaChange);
     });
+    mediaQueries = [];
+  }
+
+  // --- JS Logic ---
+  const MOVE_EVENT = window.PointerEvent ? "pointermove" : "mousemove";
 
-    function animate(){
-      cursor.style.transform = "translate(-50%, -50%) translate(" + mouseX + "px, " + mouseY + "px)";
-      fx += (mouseX - fx) * 0.12;
-      fy += (mouseY - fy) * 0.12;
-      follower.style.transform = "translate(-50%, -50%) translate(" + fx + "px, " + fy + "px)";
-      requestAnimationFrame(animate);
+  function onMouseMove(e) {
+    mouseX = e.clientX;
+    mouseY = e.clientY;
+    // Pen and touch keep the native pointer; switch back on the next mouse move.
+    const wasNative = nativePointer;
+    nativePointer = !!e.pointerType && e.pointerType !== "mouse";
+    if (!hasPointer) {
+      hasPointer = true;
+      fx = mouseX;
+      fy = mouseY;
     }
-    animate();
+    if (wasNative !== nativePointer || document.documentElement.classList.contains("oli-cursor-out")) {
+      refreshEnvironment();
+    }
+    moved = true;
+    startLoop();
+  }
 
-    document.querySelectorAll("a, button, .btn").forEach(el => {
-      el.addEventListener("mouseenter", () => {
-        cursor.classList.add("grow");
-        follower.classList.add("hide");
-      });
-      el.addEventListener("mouseleave", () => {
-        cursor.classList.remove("grow");
-        follower.classList.remove("hide");
+  function onMouseDown(e) {
+    activeEffects.forEach(effect => { if (effect.mousedown) effect.mousedown(e); });
+  }
+
+  function onVisibilityChange() {
+    if (document.hidden) stopLoop();
+    else startLoop();
+  }
+
+  // Hover targets are resolved through delegation on the document, so
+  // elements rendered after init (React/Vue, etc.) are picked up as well.
+  function hoverTargetFor(node) {
+    if (!options.hoverSelector || !node || node.nodeType !== 1) return null;
+    try {
+      return node.closest(options.hoverSelector);
+    } catch (e) {
+      return null; // invalid selector
+    }
+  }
+
+  // Nearest of a data-cursor hint and a hoverSelector match wins.
+  function resolveState(node) {
+    if (!node || node.nodeType !== 1) return null;
+    const hinted = node.closest("[data-cursor]");
+    const hovered = hoverTargetFor(node);
+    if (hinted && STATES[hinted.dataset.cursor] && !(hovered && hovered !== hinted && hinted.contains(hovered))) {
+      return { el: hinted, name: hinted.dataset.cursor, label: hinted.dataset.cursorLabel };
+    }
+    return hovered ? { el: hovered, name: "hover" } : null;
+  }
+
+  function applyState(name, text) {
+    [cursor, follower].forEach(node => {
+      Array.from(node.classList)
+        .filter(c => c.indexOf("cursor--") === 0)
+        .forEach(c => node.classList.remove(c));
+      if (name) node.classList.add("cursor--" + name);
+    });
+    const st = name ? STATES[name] : null;
+    follower.classList.toggle("cursor--spin", !!(st && st.spin));
+    label.textContent = text != null ? text : (st && st.label) || "";
+  }
+
+  function setHoverTarget(match) {
+    const el = match ? match.el : null;
+    const name = match ? match.name : null;
+    if (el === hoverEl && name === hoverState) return;
+    hoverEl = el;
+    hoverState = name;
+    applyState(name, match && match.label);
+  }
+
+  function onMouseOver(e) {
+    setHoverTarget(resolveState(e.target));
+  }
+
+  function onMouseOut(e) {
+    // relatedTarget is null when the pointer leaves the document
+    if (e.relatedTarget) return;
+    setHoverTarget(null);
+    document.documentElement.classList.add("oli-cursor-out");
+    stopLoop();
+  }
+
+  // The DOM under a still pointer can change (target removed, re-rendered or
+  // re-classed) without any mouse event firing; re-check once per frame.
+  function scheduleHoverCheck(records) {
+    if (hoverCheckQueued || !hasPointer) return;
+    if (records && records.every(r => r.target === cursor || r.target === follower)) return;
+    hoverCheckQueued = true;
+    requestAnimationFrame(() => {
+      hoverCheckQueued = false;
+      if (!cursor) return;
+      setHoverTarget(resolveState(document.elementFromPoint(mouseX, mouseY)));
+    });
+  }
+
+  function bindHoverTargets() {
+    unbindHoverTargets();
+    document.addEventListener("mouseover", onMouseOver);
+    document.addEventListener("mouseout", onMouseOut);
+    if (window.MutationObserver) {
+      observer = new MutationObserver(scheduleHoverCheck);
+      observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ["class", "href", "disabled", "role", "data-cursor", "data-cursor-label"]
       });
+    }
+    scheduleHoverCheck();
+  }
+
+  function unbindHoverTargets() {
+    document.removeEventListener("mouseover", onMouseOver);
+    document.removeEventListener("mouseout", onMouseOut);
+    if (observer) observer.disconnect();
+    observer = null;
+    if (cursor) setHoverTarget(null);
+  }
+
+  // --- Effects ---
+  function parseEffects(list) {
+    if (!list) return [];
+    if (typeof list === "string") list = list.split(",");
+    return list
+      .map(e => typeof e === "string" ? { name: e.trim() } : e)
+      .filter(e => e && e.name);
+  }
+
+  function setupEffects() {
+    teardownEffects();
+    if (reducedMotion()) return;
+    const host = { options, requestFrame: startLoop };
+    activeEffects = parseEffects(options.effects).map(e => {
+      const factory = EFFECTS[e.name];
+      if (!factory) {
+        console.warn("OliMouse: unknown effect \"" + e.name + "\"");
+        return null;
+      }
+      const settings = Object.assign({}, e);
+      delete settings.name;
+      return factory(settings, host);
+    }).filter(Boolean);
+    if (activeEffects.some(effect => effect.draw)) {
+      overlay = document.createElement("canvas");
+      overlay.className = "cursor-overlay";
+      overlay.setAttribute("aria-hidden", "true");
+      overlayCtx = overlay.getContext("2d");
+      document.body.appendChild(overlay);
+      resizeOverlay();
+      window.addEventListener("resize", resizeOverlay);
+    }
+  }
+
+  function teardownEffects() {
+    activeEffects.forEach(effect => { if (effect.destroy) effect.destroy(); });
+    activeEffects = [];
+    if (overlay) {
+      window.removeEventListener("resize", resizeOverlay);
+      overlay.remove();
+    }
+    overlay = overlayCtx = null;
+  }
+
+  function resizeOverlay() {
+    const dpr = window.devicePixelRatio || 1;
+    overlay.width = Math.round(window.innerWidth * dpr);
+    overlay.height = Math.round(window.innerHeight * dpr);
+    if (overlayCtx) overlayCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  function startLoop() {
+    if (rafId !== null || document.hidden || !isActive()) return;
+    rafId = requestAnimationFrame(animate);
+  }
+
+  function stopLoop() {
+    if (rafId !== null) cancelAnimationFrame(rafId);
+    rafId = null;
+  }
+
+  // Runs only while the follower is catching up or an effect is still
+  // animating; the next move restarts it.
+  function animate(now){
+    rafId = null;
+    now = now || performance.now();
+    const easing = reducedMotion() ? 1 : options.easing;
+    const frame = { x: mouseX, y: mouseY, now, dt: lastFrame ? now - lastFrame : 16, moved, busy: false, followerTransform: "" };
+    lastFrame = now;
+    moved = false;
+
+    activeEffects.forEach(effect => { if (effect.move) effect.move(frame); });
+    cursor.style.transform = "translate(-50%, -50%) translate(" + frame.x + "px, " + frame.y + "px)";
+
+    const px = fx, py = fy;
+    fx += (frame.x - fx) * easing;
+    fy += (frame.y - fy) * easing;
+    if (Math.abs(frame.x - fx) < 0.1 && Math.abs(frame.y - fy) < 0.1) {
+      fx = frame.x;
+      fy = frame.y;
+    } else {
+      frame.busy = true;
+    }
+    frame.fx = fx;
+    frame.fy = fy;
+    frame.vx = fx - px;
+    frame.vy = fy - py;
+
+    if (overlayCtx) overlayCtx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+    activeEffects.forEach(effect => {
+      if (effect.draw && overlayCtx && effect.draw(overlayCtx, frame)) frame.busy = true;
     });
+    follower.style.transform = "translate(-50%, -50%) translate(" + fx + "px, " + fy + "px)" + frame.followerTransform;
+
+    if (frame.busy) rafId = requestAnimationFrame(animate);
+    else lastFrame = 0;
+  }
+
+  // --- Public API ---
+  function init(userOptions) {
+    if (cursor) destroy();
+    options = Object.assign({}, DEFAULTS, readScriptOptions(currentScript), userOptions);
+
+    // --- Inject HTML ---
+    cursor = document.createElement("div");
+    cursor.className = "cursor";
+    cursor.setAttribute("aria-hidden", "true");
+
+    follower = document.createElement("div");
+    follower.className = "cursor-follower";
+    follower.setAttribute("aria-hidden", "true");
+
+    label = document.createElement("span");
+    label.className = "cursor-label";
+    follower.appendChild(label);
+
+    document.body.appendChild(cursor);
+    document.body.appendChild(follower);
+
+    // --- Inject CSS ---
+    style = document.createElement("style");
+    style.textContent = buildCss(options);
+    document.head.appendChild(style);
+
+    document.addEventListener(MOVE_EVENT, onMouseMove);
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    document.addEventListener("mousedown", onMouseDown);
+    bindHoverTargets();
+    watchMediaQueries();
+    setupEffects();
+    refreshEnvironment();
+    return api;
+  }
+
+  // Merge new options into the running cursor without recreating it.
+  function update(userOptions) {
+    if (!cursor) return init(userOptions);
+    options = Object.assign({}, options, userOptions);
+    style.textContent = buildCss(options);
+    bindHoverTargets();
+    setupEffects();
+    refreshEnvironment();
+    return api;
+  }
+
+  function destroy() {
+    if (!cursor) return;
+    stopLoop();
+    document.removeEventListener(MOVE_EVENT, onMouseMove);
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+    document.removeEventListener("mousedown", onMouseDown);
+    unbindHoverTargets();
+    teardownEffects();
+    unwatchMediaQueries();
+    document.documentElement.classList.remove("oli-cursor-active", "oli-cursor-reduced", "oli-cursor-out");
+    cursor.remove();
+    follower.remove();
+    style.remove();
+    cursor = follower = style = label = null;
+    hoverEl = hoverState = null;
+    hasPointer = nativePointer = false;
+  }
+
+  // Register (or replace) a named state. Keys: grow (use dotGrowSize), dotSize,
+  // dotWidth, dotHeight, dotRadius, dotColor, hideDot, followerSize,
+  // followerColor, followerFill, followerBorderStyle, followerOpacity,
+  // hideFollower, label, spin.
+  function registerState(name, def) {
+    if (!/^[\w-]+$/.test(name)) throw new Error("OliMouse: invalid state name \"" + name + "\"");
+    STATES[name] = Object.assign({}, def);
+    if (style) style.textContent = buildCss(options);
+    return api;
+  }
+
+  // Register (or replace) an effect factory; enable it through options.effects.
+  function registerEffect(name, factory) {
+    if (typeof factory !== "function") throw new Error("OliMouse: effect \"" + name + "\" must be a factory function");
+    EFFECTS[name] = factory;
+    if (cursor && parseEffects(options.effects).some(e => e.name === name)) setupEffects();
+    return api;
   }
 
-  // Run after DOM is ready
+  const api = {
+    init,
+    update,
+    destroy,
+    registerState,
+    registerEffect,
+    defaults: DEFAULTS,
+    get states() { return Object.keys(STATES); },
+    get effects() { return Object.keys(EFFECTS); },
+    get active() { return isActive(); },
+    get options() { return options ? Object.assign({}, options) : null; }
+  };
+  window.OliMouse = api;
+
+  // Run after DOM is ready, unless the embed opts out with data-auto-init="false"
+  if (currentScript && currentScript.dataset.autoInit === "false") return;
   if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", initCustomCursor);
+    document.addEventListener("DOMContentLoaded", () => { if (!cursor) init(); });
   } else {
-    initCustomCursor();
+    init();
   }
 })();
@@ -0,0 +1,248 @@
+// DeviceID under jsdom with mocked navigator, screen, canvas, WebGL and
+// OfflineAudioContext, so every probe returns a fixed value.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHash } = require('node:crypto');
+const { JSDOM } = require('jsdom');
+
+const GID = require.resolve('../cdn/gid.js');
+
+let canvasSeed = 'a';
+let audioSeed = 1;
+
+function installDom() {
+    const dom = new JSDOM('<!doctype html><html><body></body></html>', { pretendToBeVisual: true });
+    const win = dom.window;
+
+    Object.defineProperty(win, 'devicePixelRatio', { value: 2, configurable: true });
+    win.matchMedia = query => ({ matches: query === '(color-gamut: srgb)' });
+
+    const nav = {
+        userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Chrome/126.0.6478.61',
+        vendor: 'Google Inc.',
+        platform: 'Linux x86_64',
+        languages: ['en-US', 'en'],
+        language: 'en-US',
+        appVersion: '5.0 (X11; Linux x86_64) Chrome/126.0.6478.61',
+        product: 'Gecko',
+        hardwareConcurrency: 8,
+        deviceMemory: 8,
+        maxTouchPoints: 0,
+        doNotTrack: null,
+        plugins: [{ name: 'PDF Viewer', description: 'Portable Document Format' }],
+        mimeTypes: [{ type: 'application/pdf', description: 'Portable Document Format' }],
+        connection: { effectiveType: '4g', downlinkMax: 10, rtt: 50 },
+        mediaDevices: {
+            enumerateDevices: async () => [{ kind: 'audioinput' }, { kind: 'audiooutput' }, { kind: 'videoinput' }]
+        },
+        permissions: {
+            query: async ({ name }) => ({ state: name === 'notifications' ? 'denied' : 'prompt' })
+        },
+        getBattery: async () => ({ charging: true, level: 0.5 })
+    };
+
+    // 2D context records the drawing; toDataURL encodes the record plus the
+    // per-test seed, so the "pixels" are fixed but can be changed on purpose.
+    function context2d() {
+        const ops = [];
+        const record = name => (...args) => { ops.push(`${name}(${args.join(',')})`); };
+        return {
+            ops,
+            fillRect: record('fillRect'),
+            fillText: record('fillText'),
+            beginPath: record('beginPath'),
+            arc: record('arc'),
+            fill: record('fill')
+        };
+    }
+
+    const gl = {
+        SHADING_LANGUAGE_VERSION: 1, VERSION: 2, VENDOR: 3, RENDERER: 4,
+        FRAGMENT_SHADER: 5, HIGH_FLOAT: 6,
+        getParameter: p => ({ 1: 'WebGL GLSL ES 1.0', 2: 'WebGL 1.0', 3: 'WebKit', 4: 'WebKit WebGL', 7: 'Mock Vendor', 8: 'Mock GPU' })[p],
+        getShaderPrecisionFormat: () => ({ precision: 23, rangeMin: 127, rangeMax: 127 }),
+        getSupportedExtensions: () => ['OES_texture_float', 'WEBGL_debug_renderer_info'],
+        getExtension: name => (name === 'WEBGL_debug_renderer_info' ? { UNMASKED_VENDOR_WEBGL: 7, UNMASKED_RENDERER_WEBGL: 8 } : null)
+    };
+
+    win.HTMLCanvasElement.prototype.getContext = function (type) {
+        if (type === '2d') {
+            if (!this._ctx) this._ctx = context2d();
+            return this._ctx;
+        }
+        return type === 'webgl' ? gl : null;
+    };
+    win.HTMLCanvasElement.prototype.toDataURL = function () {
+        const record = (this._ctx ? this._ctx.ops.join(';') : '') + canvasSeed;
+        return 'data:image/png;base64,' + Buffer.from(record).toString('base64');
+    };
+
+    class OfflineAudioContext {
+        constructor(channels, length) {
+            this.length = length;
+            this.destination = {};
+        }
+        createOscillator() {
+            return { type: '', frequency: { value: 0 }, connect() {}, start() {} };
+        }
+        createBiquadFilter() {
+            return { type: '', frequency: { value: 0 }, connect() {} };
+        }
+        createGain() {
+            return { gain: { value: 0 }, connect() {} };
+        }
+        async startRendering() {
+            const data = new Float32Array(this.length);
+            for (let i = 0; i < data.length; i++) data[i] = Math.sin(i * audioSeed / 10);
+            return { getChannelData: () => data };
+        }
+    }
+    win.OfflineAudioContext = OfflineAudioContext;
+
+    global.window = win;
+    global.document = win.document;
+    global.screen = { width: 1920, height: 1080, colorDepth: 24, pixelDepth: 24 };
+    Object.defineProperty(global, 'navigator', { value: nav, configurable: true, writable: true });
+}
+
+// A fresh module per test, so registerProbe() calls don't leak between tests.
+function loadDeviceID() {
+    delete require.cache[GID];
+    return require(GID);
+}
+
+function sha256(text) {
+    return createHash('sha256').update(text).digest('hex');
+}
+
+beforeEach(() => {
+    canvasSeed = 'a';
+    audioSeed = 1;
+    installDom();
+});
+
+test('generate() is deterministic and versioned', async () => {
+    const DeviceID = loadDeviceID();
+    const a = await DeviceID.generate();
+    const b = await DeviceID.generate();
+    assert.match(a, /^v2:[0-9a-f]{64}$/);
+    assert.equal(a, b);
+    assert.equal(loadDeviceID().version, 2);
+    assert.equal(await loadDeviceID().generate(), a);
+});
+
+test('fonts, canvas and webgl are awaited instead of hashed as [object Promise]', async () => {
+    const { components } = await loadDeviceID().collect();
+    for (const name of ['fonts', 'canvas', 'webgl']) {
+        assert.equal(components[name].status, 'ok');
+        assert.notEqual(components[name].value, '[object Promise]');
+    }
+    assert.match(components.canvas.value, /^[0-9a-f]{64}$/);
+    assert.match(components.webgl.value, /Mock GPU/);
+    assert.match(components.fonts.value, /^Arial:[01],/);
+});
+
+test('canvas and audio output feed the ID', async () => {
+    const DeviceID = loadDeviceID();
+    const base = await DeviceID.generate();
+    canvasSeed = 'b';
+    const canvasChanged = await DeviceID.generate();
+    canvasSeed = 'a';
+    audioSeed = 2;
+    const audioChanged = await DeviceID.generate();
+    assert.notEqual(canvasChanged, base);
+    assert.notEqual(audioChanged, base);
+});
+
+test('media device, permission and battery probes follow the cfg toggles', async () => {
+    const DeviceID = loadDeviceID();
+    const defaults = await DeviceID.collect();
+    assert.equal(defaults.components.mediaDevices.value, 'audioinput:1,audiooutput:1,videoinput:1');
+    assert.equal(defaults.components.permissions.value, 'camera:prompt,microphone:prompt,geolocation:prompt,notifications:denied');
+    assert.ok(!('battery' in defaults.components));
+
+    const toggled = await DeviceID.collect({ battery: true, mediaDevices: false, permissions: false, canvas: false });
+    assert.deepEqual(Object.keys(toggled.components), ['nav', 'screen', 'intl', 'mediaQueries', 'connection', 'plugins', 'fonts', 'webgl', 'audio', 'battery']);
+    assert.equal(toggled.components.battery.value, 'charging:1|level:50');
+    assert.notEqual(toggled.hash, defaults.hash);
+});
+
+test('schema version 1 reproduces the original generate() input', async () => {
+    const DeviceID = loadDeviceID();
+    const { components } = await DeviceID.collect();
+    const legacy = ['nav', 'screen', 'intl', 'mediaQueries', 'connection', 'plugins', 'fonts', 'canvas', 'webgl', 'audio']
+        .map(name => name + ':' + (['fonts', 'canvas', 'webgl'].includes(name) ? '[object Promise]' : components[name].value))
+        .join('||||');
+    const v1 = await DeviceID.generate({ version: 1 });
+    assert.equal(v1, sha256(legacy));
+    assert.deepEqual(DeviceID.parse(v1), { version: 1, revision: 0, hash: v1 });
+
+    const migrated = await DeviceID.migrate(v1);
+    assert.equal(migrated.matches, true);
+    assert.equal(migrated.id, await DeviceID.generate());
+});
+
+test('timed-out probes are reported and left out of the ID', async () => {
+    const DeviceID = loadDeviceID();
+    DeviceID.registerProbe('slow', () => new Promise(() => {}));
+    const result = await DeviceID.collect({ revision: 1, timeouts: { slow: 20 } });
+    assert.equal(result.components.slow.status, 'timeout');
+    assert.deepEqual(result.skipped, ['slow']);
+    const v2 = await DeviceID.generate();
+    assert.equal(result.hash, 'v2.1:' + DeviceID.parse(v2).hash);
+});
+
+test('custom probes leave existing IDs alone until their revision is asked for', async () => {
+    const DeviceID = loadDeviceID();
+    const before = await DeviceID.generate();
+    DeviceID.registerProbe('first', () => 'a', { async: false });
+    DeviceID.registerProbe('second', () => 'b', { async: false });
+    assert.equal(await DeviceID.generate(), before);
+
+    const r1 = await DeviceID.collect({ revision: 1 });
+    assert.deepEqual(DeviceID.parse(r1.hash), { version: 2, revision: 1, hash: DeviceID.parse(r1.hash).hash });
+    assert.ok('first' in r1.components && !('second' in r1.components));
+    const migrated = await DeviceID.migrate(before, { revision: 2 });
+    assert.equal(migrated.matches, true);
+    assert.match(migrated.id, /^v2\.2:/);
+    assert.equal((await DeviceID.migrate(r1.hash)).matches, true);
+
+    assert.throws(() => DeviceID.registerProbe('third', () => 'c', { since: 0 }), /invalid revision/);
+    await assert.rejects(DeviceID.generate({ revision: 3 }), /unknown custom probe revision/);
+    await assert.rejects(DeviceID.generate({ version: 3 }), /unknown schema version/);
+});
+
+test('custom probes bring their own compare rule', async () => {
+    const DeviceID = loadDeviceID();
+    let tier = 'high';
+    DeviceID.registerProbe('gpuTier', () => tier, { async: false, weight: 5, rule: () => 0.5 });
+    const a = await DeviceID.collect({ revision: 1 });
+    tier = 'low';
+    const b = await DeviceID.collect({ revision: 1 });
+    assert.equal(DeviceID.compare(a, b).components.gpuTier, 0.5);
+    assert.equal(DeviceID.compare(a, b, { rules: { gpuTier: () => 0.25 } }).components.gpuTier, 0.25);
+});
+
+test('a stuck worker is opened once and given up on after one timeout', async () => {
+    let created = 0, posted = 0, terminated = 0;
+    global.Worker = class {
+        constructor() { created++; }
+        postMessage() { posted++; }
+        terminate() { terminated++; }
+    };
+    try {
+        const DeviceID = loadDeviceID();
+        const started = Date.now();
+        const first = await DeviceID.generate();
+        const second = await DeviceID.collect();
+        assert.ok(Date.now() - started < 2500, 'only the first worker call waits for the timeout');
+        assert.equal(created, 1);
+        assert.equal(posted, 1);
+        assert.equal(terminated, 1);
+        assert.equal(first, second.hash);
+        assert.equal(first, await DeviceID.generate({ worker: false }));
+    } finally {
+        delete global.Worker;
+    }
+});
@@ -0,0 +1,98 @@
+// PixelSnapshot on plain { width, height, data } images; no canvas needed.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PixelSnapshot = require('../cdn/lib/imgpixels.js');
+
+// width x height image where fill(x, y) returns [r, g, b, a]
+function image(width, height, fill) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data.set(fill(x, y), (y * width + x) * 4);
+  }
+  return { width, height, data };
+}
+
+const white = () => [255, 255, 255, 255];
+
+test('getPixel() reads colours and returns null outside the image', async () => {
+  const snap = await PixelSnapshot.from(image(3, 2, (x, y) => [x * 100, y * 200, 7, 51]));
+  assert.deepEqual(snap.getPixel(2, 1), { r: 200, g: 200, b: 7, a: 0.2, hex: '#c8c807' });
+  assert.deepEqual(snap.getPixel(1.9, 0.5), snap.getPixel(1, 0));
+  for (const [x, y] of [[-1, 0], [0, -1], [3, 0], [0, 2], [-0.5, 0]]) {
+    assert.equal(snap.getPixel(x, y), null, `(${x}, ${y})`);
+  }
+});
+
+test('getRegion(), average() and coverage() clamp to the image', async () => {
+  // left half black, right half white
+  const snap = await PixelSnapshot.from(image(4, 4, x => (x < 2 ? [0, 0, 0, 255] : [255, 255, 255, 255])));
+  const region = snap.getRegion(1, 1, 10, 10);
+  assert.equal(region.width, 3);
+  assert.equal(region.height, 3);
+  assert.equal(region.getPixel(0, 0).hex, '#000000');
+  assert.equal(region.getPixel(1, 0).hex, '#ffffff');
+  assert.throws(() => snap.getRegion(4, 0, 2, 2), RangeError);
+
+  assert.equal(snap.average().hex, '#808080');
+  assert.equal(snap.average({ x: 2, y: 0, width: 5, height: 5 }).hex, '#ffffff');
+  assert.equal(snap.coverage(c => c.r === 0), 0.5);
+  assert.equal(snap.coverage(c => c.r === 0, { x: -2, y: 0, width: 3, height: 4 }), 1);
+});
+
+test('from() rejects images whose data is too short', async () => {
+  await assert.rejects(PixelSnapshot.from({ width: 2, height: 2, data: new Uint8ClampedArray(12) }), RangeError);
+  assert.throws(() => new PixelSnapshot({ width: 0, height: 1, data: new Uint8ClampedArray(4) }), TypeError);
+});
+
+test('compare() reports the mismatch as a percentage and marks it in the diff', async () => {
+  const a = image(4, 4, white);
+  const b = image(4, 4, (x, y) => (x < 2 && y < 2 ? [0, 0, 0, 255] : [255, 255, 255, 255]));
+
+  const same = await PixelSnapshot.compare(a, image(4, 4, white));
+  assert.equal(same.mismatch, 0);
+
+  const result = await PixelSnapshot.compare(a, b);
+  assert.equal(result.mismatch, 25);
+  assert.equal(result.mismatchedPixels, 4);
+  assert.equal(result.totalPixels, 16);
+  assert.equal(result.sameSize, true);
+  assert.deepEqual(Array.from(result.diff.data.subarray(0, 4)), [255, 0, 0, 255]);
+  assert.deepEqual(Array.from(result.diff.data.subarray(3 * 4, 3 * 4 + 4)), [255, 255, 255, 255]);
+
+  const blue = await PixelSnapshot.compare(a, b, { diffColor: [0, 0, 255] });
+  assert.deepEqual(Array.from(blue.diff.data.subarray(0, 4)), [0, 0, 255, 255]);
+});
+
+test('compare() threshold decides how large a colour change counts', async () => {
+  const a = image(2, 1, white);
+  const b = image(2, 1, x => (x === 0 ? [250, 250, 250, 255] : [255, 255, 255, 255]));
+  assert.equal((await PixelSnapshot.compare(a, b)).mismatch, 0);
+  assert.equal((await PixelSnapshot.compare(a, b, { threshold: 0 })).mismatch, 50);
+  // fully transparent pixels blend to white whatever their colour
+  const clear = image(2, 1, () => [0, 0, 0, 0]);
+  assert.equal((await PixelSnapshot.compare(a, clear, { threshold: 0 })).mismatch, 0);
+});
+
+test('compare() leaves ignoreRegions out of the count', async () => {
+  const a = image(4, 4, white);
+  const b = image(4, 4, (x, y) => (x < 2 && y < 2 ? [0, 0, 0, 255] : [255, 255, 255, 255]));
+  const result = await PixelSnapshot.compare(a, b, { ignoreRegions: [{ x: 0, y: 0, width: 2, height: 2 }] });
+  assert.equal(result.mismatch, 0);
+  assert.equal(result.totalPixels, 12);
+  // ignored pixels are drawn like unchanged ones, not highlighted
+  assert.notDeepEqual(Array.from(result.diff.data.subarray(0, 4)), [255, 0, 0, 255]);
+
+  const partly = await PixelSnapshot.compare(a, b, { ignoreRegions: [{ x: 0, y: 0, width: 1, height: 4 }] });
+  assert.equal(partly.mismatchedPixels, 2);
+  assert.equal(partly.mismatch, 2 / 12 * 100);
+});
+
+test('compare() counts pixels outside the smaller image as mismatches', async () => {
+  const result = await PixelSnapshot.compare(image(2, 2, white), image(4, 2, white));
+  assert.equal(result.sameSize, false);
+  assert.equal(result.width, 4);
+  assert.equal(result.height, 2);
+  assert.equal(result.mismatch, 50);
+});